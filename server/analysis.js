@@ -0,0 +1,334 @@
+// Audio facts for the sample library: format details from ffprobe, and tempo
+// and key estimated from the decoded audio.
+//
+// Tempo comes from the autocorrelation of a spectral-flux onset envelope, key
+// from a chromagram matched against the Krumhansl-Schmuckler key profiles.
+// Both are estimates; drum loops have no key and ambient pads have no tempo,
+// so either can come back null.
+
+import { spawn } from 'child_process';
+import { Worker } from 'worker_threads';
+
+const ANALYSIS_RATE = 22050;
+const MAX_ANALYSIS_SECONDS = 60;
+
+// Onset envelope frames (~12ms hop)
+const ONSET_FRAME = 1024;
+const ONSET_HOP = 256;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+
+// Chroma frames: long enough to tell semitones apart in the bass
+const CHROMA_FRAME = 4096;
+const CHROMA_MIN_HZ = 80;
+const CHROMA_MAX_HZ = 2000;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Below this correlation the chroma doesn't look tonal enough to name a key
+const MIN_KEY_CORRELATION = 0.5;
+
+// Transients for chopping: the whole file up to this long is searched
+const MAX_CHOP_SECONDS = 600;
+// Onsets closer together than this are one hit
+const MIN_TRANSIENT_GAP = 0.05;
+// How far above the surrounding ~200ms a peak must rise, as a fraction of the
+// loudest onset, at full and at zero sensitivity
+const MIN_TRANSIENT_THRESHOLD = 0.02;
+const MAX_TRANSIENT_THRESHOLD = 0.6;
+
+const run = (command, args) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    const chunks = [];
+    let error = '';
+
+    child.stdout.on('data', (data) => chunks.push(data));
+    child.stderr.on('data', (data) => {
+      error += data.toString();
+    });
+    child.on('error', (err) => reject(new Error(`${command} is not available: ${err.message}`)));
+    child.on('close', (code) => {
+      if (code !== 0) return reject(new Error(error.trim().split('\n').pop() || `${command} failed`));
+      resolve(Buffer.concat(chunks));
+    });
+  });
+
+/**
+ * Duration (seconds), sample rate and channel count of an audio file.
+ */
+export async function probeAudio(filePath, ffprobePath = 'ffprobe') {
+  const output = await run(ffprobePath, [
+    '-v', 'error',
+    '-select_streams', 'a:0',
+    '-show_entries', 'stream=sample_rate,channels:format=duration',
+    '-of', 'json',
+    filePath
+  ]);
+  const info = JSON.parse(output.toString());
+  const stream = info.streams?.[0] || {};
+
+  return {
+    duration: parseFloat(info.format?.duration) || null,
+    sampleRate: parseInt(stream.sample_rate, 10) || null,
+    channels: stream.channels || null
+  };
+}
+
+// Decode the start of a file to mono float samples at ANALYSIS_RATE
+async function decodeMono(filePath, ffmpegPath, seconds = MAX_ANALYSIS_SECONDS) {
+  const output = await run(ffmpegPath, [
+    '-v', 'error',
+    '-t', String(seconds),
+    '-i', filePath,
+    '-ac', '1',
+    '-ar', String(ANALYSIS_RATE),
+    '-f', 'f32le',
+    'pipe:1'
+  ]);
+  // Copy so the samples are aligned for Float32Array
+  const bytes = new Uint8Array(output);
+  return new Float32Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+// In-place radix-2 FFT; re and im have a power-of-two length
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+// Magnitude spectra of Hann-windowed frames: calls visit(magnitudes) per frame
+function forEachSpectrum(samples, frameSize, hop, visit) {
+  const window = new Float64Array(frameSize);
+  for (let i = 0; i < frameSize; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (frameSize - 1));
+  }
+  const re = new Float64Array(frameSize);
+  const im = new Float64Array(frameSize);
+  const magnitudes = new Float64Array(frameSize / 2);
+
+  for (let start = 0; start + frameSize <= samples.length; start += hop) {
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k < frameSize / 2; k++) {
+      magnitudes[k] = Math.hypot(re[k], im[k]);
+    }
+    visit(magnitudes);
+  }
+}
+
+// Spectral flux: how much louder each frequency got since the last frame
+// onsets[i] is the change from frame i to frame i + 1
+function onsetStrength(samples) {
+  const onsets = [];
+  let previous = null;
+  forEachSpectrum(samples, ONSET_FRAME, ONSET_HOP, (magnitudes) => {
+    const logMagnitudes = magnitudes.map(m => Math.log1p(100 * m));
+    if (previous) {
+      let flux = 0;
+      for (let k = 0; k < logMagnitudes.length; k++) {
+        flux += Math.max(0, logMagnitudes[k] - previous[k]);
+      }
+      onsets.push(flux);
+    }
+    previous = logMagnitudes;
+  });
+  return onsets;
+}
+
+/**
+ * Estimate tempo in BPM from mono samples, or null if there's no clear pulse.
+ */
+export function detectBpm(samples, sampleRate = ANALYSIS_RATE) {
+  const onsets = onsetStrength(samples);
+  const framesPerSecond = sampleRate / ONSET_HOP;
+  // Need a few bars to find a pulse
+  if (onsets.length < framesPerSecond * 4) return null;
+
+  // Remove the slowly varying loudness so only the attacks remain, then blur
+  // each attack a little so beats that fall between frames still line up
+  const mean = onsets.reduce((sum, value) => sum + value, 0) / onsets.length;
+  const rectified = onsets.map(value => Math.max(0, value - mean));
+  const envelope = rectified.map((_, i) =>
+    [-2, -1, 0, 1, 2].reduce((sum, offset) =>
+      sum + (rectified[i + offset] || 0) * Math.exp(-0.5 * offset ** 2), 0));
+  if (envelope.every(value => value === 0)) return null;
+
+  const minLag = Math.floor((60 / MAX_BPM) * framesPerSecond);
+  const maxLag = Math.ceil((60 / MIN_BPM) * framesPerSecond);
+  const scores = [];
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) {
+      sum += envelope[i] * envelope[i - lag];
+    }
+    // Lean towards common tempos so half/double-time picks are less likely
+    const bpm = (60 * framesPerSecond) / lag;
+    const prior = Math.exp(-0.5 * Math.log2(bpm / 120) ** 2);
+    scores.push({ lag, score: (sum / (envelope.length - lag)) * prior });
+  }
+
+  const bestIndex = scores.reduce((best, s, i) => (s.score > scores[best].score ? i : best), 0);
+  const best = scores[bestIndex];
+  if (best.score <= 0) return null;
+
+  // Parabolic interpolation between neighbouring lags for a finer tempo
+  let lag = best.lag;
+  const before = scores[bestIndex - 1];
+  const after = scores[bestIndex + 1];
+  if (before && after) {
+    const denominator = before.score - 2 * best.score + after.score;
+    if (denominator !== 0) lag += (0.5 * (before.score - after.score)) / denominator;
+  }
+
+  return Math.round((60 * framesPerSecond) / lag);
+}
+
+/**
+ * Times in seconds where a new hit starts, for chopping a sample at its
+ * transients. sensitivity (0-1) trades missed soft hits for false ones.
+ */
+export function detectTransients(samples, sampleRate = ANALYSIS_RATE, sensitivity = 0.5) {
+  const onsets = onsetStrength(samples);
+  const peak = onsets.reduce((max, value) => Math.max(max, value), 0);
+  if (peak === 0) return [];
+
+  const framesPerSecond = sampleRate / ONSET_HOP;
+  const threshold = peak * (MIN_TRANSIENT_THRESHOLD + (1 - sensitivity) * (MAX_TRANSIENT_THRESHOLD - MIN_TRANSIENT_THRESHOLD));
+  const span = Math.round(0.1 * framesPerSecond);
+  const minGap = MIN_TRANSIENT_GAP * framesPerSecond;
+
+  const times = [];
+  let last = -Infinity;
+  for (let i = 1; i < onsets.length - 1; i++) {
+    if (onsets[i] < onsets[i - 1] || onsets[i] < onsets[i + 1] || i - last < minGap) continue;
+    const from = Math.max(0, i - span);
+    const to = Math.min(onsets.length, i + span + 1);
+    let sum = 0;
+    for (let j = from; j < to; j++) sum += onsets[j];
+    if (onsets[i] - sum / (to - from) < threshold) continue;
+
+    last = i;
+    // The attack arrives at the end of frame i + 1, which overlaps frame i by ONSET_FRAME - ONSET_HOP
+    const time = (i * ONSET_HOP + ONSET_FRAME) / sampleRate;
+    // A hit at the very start is where the first slice begins anyway
+    if (time >= MIN_TRANSIENT_GAP) times.push(Math.round(time * 10000) / 10000);
+  }
+  return times;
+}
+
+const correlation = (a, b) => {
+  const meanA = a.reduce((sum, v) => sum + v, 0) / a.length;
+  const meanB = b.reduce((sum, v) => sum + v, 0) / b.length;
+  let numerator = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    numerator += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  return varianceA && varianceB ? numerator / Math.sqrt(varianceA * varianceB) : 0;
+};
+
+/**
+ * Estimate the musical key ("A minor", "F# major") from mono samples,
+ * or null if the audio isn't tonal enough to tell.
+ */
+export function detectKey(samples, sampleRate = ANALYSIS_RATE) {
+  const chroma = new Array(12).fill(0);
+  const binHz = sampleRate / CHROMA_FRAME;
+
+  forEachSpectrum(samples, CHROMA_FRAME, CHROMA_FRAME, (magnitudes) => {
+    const frame = new Array(12).fill(0);
+    for (let k = Math.ceil(CHROMA_MIN_HZ / binHz); k <= Math.floor(CHROMA_MAX_HZ / binHz); k++) {
+      const midi = 69 + 12 * Math.log2((k * binHz) / 440);
+      frame[((Math.round(midi) % 12) + 12) % 12] += magnitudes[k] ** 2;
+    }
+    // Each frame counts the same however loud it is
+    const total = frame.reduce((sum, v) => sum + v, 0);
+    if (total > 0) frame.forEach((v, pc) => { chroma[pc] += v / total; });
+  });
+
+  if (chroma.every(v => v === 0)) return null;
+
+  let best = { score: -Infinity, key: null };
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = chroma.map((_, pc) => chroma[(pc + tonic) % 12]);
+    [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]].forEach(([mode, profile]) => {
+      const score = correlation(rotated, profile);
+      if (score > best.score) best = { score, key: `${NOTE_NAMES[tonic]} ${mode}` };
+    });
+  }
+
+  return best.score >= MIN_KEY_CORRELATION ? best.key : null;
+}
+
+/**
+ * Everything the sample library shows about a file. Format details always come
+ * from ffprobe; bpm and key are null when they can't be estimated.
+ */
+export async function analyzeSample(filePath, { ffmpegPath = 'ffmpeg', ffprobePath = 'ffprobe' } = {}) {
+  const format = await probeAudio(filePath, ffprobePath);
+  const samples = await decodeMono(filePath, ffmpegPath);
+
+  return {
+    ...format,
+    bpm: detectBpm(samples),
+    key: detectKey(samples)
+  };
+}
+
+/**
+ * Transient times (seconds) of a whole file, for chopping it into slices.
+ * Detection runs in a worker thread: minutes of audio take seconds.
+ */
+export async function findTransients(filePath, { ffmpegPath = 'ffmpeg', sensitivity = 0.5 } = {}) {
+  const samples = await decodeMono(filePath, ffmpegPath, MAX_CHOP_SECONDS);
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./transientWorker.js', import.meta.url), {
+      workerData: { samples, sampleRate: ANALYSIS_RATE, sensitivity },
+      transferList: [samples.buffer]
+    });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      if (code !== 0) reject(new Error(`Transient detection stopped with exit code ${code}`));
+    });
+  });
+}
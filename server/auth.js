@@ -0,0 +1,143 @@
+// Access control for the API: optional API keys, per-client rate limits and
+// a daily generation quota. Everything is kept in memory, so limits reset
+// when the server restarts.
+//
+//   API_KEYS                comma-separated keys; unset = no key needed
+//   CORS_ORIGINS            comma-separated allowed origins; unset = any origin
+//   GENERATE_RATE_LIMIT     AI requests per client per minute (default 10)
+//   DOWNLOAD_RATE_LIMIT     downloads per client per minute (default 5)
+//   DAILY_GENERATION_QUOTA  AI generations per client per UTC day (default 200, 0 = unlimited)
+
+const MINUTE_MS = 60 * 1000;
+
+const parseList = (value) =>
+  (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parseLimit = (value, fallback) => {
+  const limit = parseInt(value, 10);
+  return Number.isFinite(limit) && limit >= 0 ? limit : fallback;
+};
+
+export function loadAuthConfig(env = process.env) {
+  return {
+    apiKeys: new Set(parseList(env.API_KEYS)),
+    corsOrigins: parseList(env.CORS_ORIGINS),
+    generateRateLimit: parseLimit(env.GENERATE_RATE_LIMIT, 10),
+    downloadRateLimit: parseLimit(env.DOWNLOAD_RATE_LIMIT, 5),
+    dailyGenerationQuota: parseLimit(env.DAILY_GENERATION_QUOTA, 200)
+  };
+}
+
+// Options for the cors() middleware
+export function corsOptions({ corsOrigins }) {
+  if (corsOrigins.length === 0) return {};
+  return { origin: corsOrigins };
+}
+
+// The key a request was made with: "Authorization: Bearer <key>" or "X-API-Key: <key>"
+const requestKey = (req) => {
+  const auth = req.get('authorization');
+  if (auth?.startsWith('Bearer ')) return auth.slice(7).trim();
+  return req.get('x-api-key') || null;
+};
+
+// Limits are tracked per valid key, otherwise per IP address - an unchecked
+// key would let a client pick a fresh identity with every request
+const clientId = (req, apiKeys) => {
+  const key = requestKey(req);
+  return key && apiKeys.has(key) ? `key:${key}` : `ip:${req.ip}`;
+};
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+// Reject requests without a valid key when API_KEYS is set
+export function requireApiKey({ apiKeys }) {
+  return (req, res, next) => {
+    if (apiKeys.size === 0 || req.method === 'OPTIONS') return next();
+
+    const key = requestKey(req);
+    if (!key) {
+      return res.status(401).json({ error: 'API key required' });
+    }
+    if (!apiKeys.has(key)) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    next();
+  };
+}
+
+// Fixed-window limit of `max` requests per client every `windowMs`
+// label names the action in the error message ("generation", "download")
+// apiKeys: the configured keys (loadAuthConfig), which count as clients of their own
+export function rateLimit({ label, max, windowMs = MINUTE_MS, apiKeys = new Set() }) {
+  const windows = new Map(); // clientId -> { count, resetAt }
+
+  // Forget windows that have ended
+  setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, id) => {
+      if (window.resetAt <= now) windows.delete(id);
+    });
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    if (!max) return next();
+
+    const id = clientId(req, apiKeys);
+    const now = Date.now();
+    let window = windows.get(id);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(id, window);
+    }
+
+    if (window.count >= max) {
+      const retryAfter = secondsUntil(window.resetAt);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Too many ${label} requests. Try again in ${retryAfter}s.`,
+        retryAfter
+      });
+    }
+
+    window.count++;
+    next();
+  };
+}
+
+const nextUtcMidnight = () => {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+  return date.getTime();
+};
+
+// Cap on AI generations per client per UTC day
+// cost(req): how many generations the request uses (default 1)
+export function dailyQuota({ limit, cost = () => 1, apiKeys = new Set() }) {
+  const usage = new Map(); // clientId -> count
+  let resetAt = nextUtcMidnight();
+
+  return (req, res, next) => {
+    if (!limit) return next();
+
+    if (Date.now() >= resetAt) {
+      usage.clear();
+      resetAt = nextUtcMidnight();
+    }
+
+    const id = clientId(req, apiKeys);
+    const used = usage.get(id) || 0;
+    const requested = cost(req);
+    if (used + requested > limit) {
+      const retryAfter = secondsUntil(resetAt);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: `Daily generation quota reached (${used} of ${limit} used). It resets at midnight UTC.`,
+        retryAfter
+      });
+    }
+
+    usage.set(id, used + requested);
+    next();
+  };
+}
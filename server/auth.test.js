@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { rateLimit, dailyQuota } from './auth.js';
+
+// Serve `middleware` on a free port and call fn(url), closing the server after
+async function withServer(middleware, fn) {
+  const app = express();
+  app.get('/', middleware, (req, res) => res.json({ ok: true }));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/`);
+  } finally {
+    server.close();
+  }
+}
+
+// Status of one request per key, made one after another
+async function statuses(url, keys) {
+  const results = [];
+  for (const key of keys) {
+    const res = await fetch(url, { headers: { 'X-API-Key': key } });
+    results.push(res.status);
+  }
+  return results;
+}
+
+test('rotating unknown API keys share the IP address limit', async () => {
+  await withServer(rateLimit({ label: 'download', max: 2 }), async (url) => {
+    assert.deepEqual(await statuses(url, ['a', 'b', 'c']), [200, 200, 429]);
+  });
+});
+
+test('each configured API key has a limit of its own', async () => {
+  const apiKeys = new Set(['one', 'two']);
+  await withServer(rateLimit({ label: 'download', max: 1, apiKeys }), async (url) => {
+    assert.deepEqual(await statuses(url, ['one', 'two', 'one', 'forged']), [200, 200, 429, 200]);
+    assert.deepEqual(await statuses(url, ['other']), [429]);
+  });
+});
+
+test('rotating unknown API keys share the IP address quota', async () => {
+  await withServer(dailyQuota({ limit: 2 }), async (url) => {
+    assert.deepEqual(await statuses(url, ['a', 'b', 'c']), [200, 200, 429]);
+  });
+});
@@ -0,0 +1,25 @@
+// Sound names in tidalcycles/dirt-samples, the bank the client loads by default.
+// Kept here so user samples never take one of them, even before (or without)
+// the live list being fetched.
+
+export const DIRT_SAMPLE_NAMES = [
+  '808', '808bd', '808cy', '808hc', '808ht', '808lc', '808lt', '808mc', '808mt', '808oh', '808sd', '909',
+  'ab', 'ade', 'ades2', 'ades3', 'ades4', 'alex', 'alphabet', 'amencutup', 'armora', 'arp', 'arpy', 'auto',
+  'baa', 'baa2', 'bass', 'bass0', 'bass1', 'bass2', 'bass3', 'bassdm', 'bassfoo', 'battles', 'bd', 'bend',
+  'bev', 'bin', 'birds', 'birds3', 'bleep', 'blip', 'blue', 'bottle', 'breaks125', 'breaks152', 'breaks157',
+  'breaks165', 'breath', 'bubble', 'can', 'casio', 'cb', 'cc', 'chin', 'circus', 'clak', 'click', 'clubkick',
+  'co', 'coins', 'control', 'cosmicg', 'cp', 'cr', 'crow', 'd', 'db', 'diphone', 'diphone2', 'dist', 'dork2',
+  'dorkbot', 'dr', 'dr2', 'dr55', 'dr_few', 'drum', 'drumtraks', 'e', 'east', 'electro1', 'em2', 'erk', 'f',
+  'feel', 'feelfx', 'fest', 'fire', 'flick', 'fm', 'foo', 'future', 'gab', 'gabba', 'gabbaloud', 'gabbalouder',
+  'glasstap', 'glitch', 'glitch2', 'gretsch', 'gtr', 'h', 'hand', 'hardcore', 'hardkick', 'haw', 'hc', 'hh',
+  'hh27', 'hit', 'hmm', 'ho', 'hoover', 'house', 'ht', 'if', 'ifdrums', 'incoming', 'industrial', 'insect',
+  'invaders', 'jazz', 'jungbass', 'jungle', 'juno', 'jvbass', 'kicklinn', 'koy', 'kurt', 'latibro', 'led',
+  'less', 'lighter', 'linnhats', 'lt', 'made', 'made2', 'mash', 'mash2', 'metal', 'miniyeah', 'monsterb',
+  'moog', 'mouth', 'mp3', 'msg', 'mt', 'mute', 'newnotes', 'noise', 'noise2', 'notes', 'numbers', 'oc', 'odx',
+  'off', 'outdoor', 'pad', 'padlong', 'pebbles', 'perc', 'peri', 'pluck', 'popkick', 'print', 'proc',
+  'procshort', 'psr', 'rave', 'rave2', 'ravemono', 'realclaps', 'reverbkick', 'rm', 'rs', 'sax', 'sd',
+  'seawolf', 'sequential', 'sf', 'sheffield', 'short', 'sid', 'sine', 'sitar', 'sn', 'space', 'speakspell',
+  'speech', 'speechless', 'speedupdown', 'stab', 'stomp', 'subroc3d', 'sugar', 'sundance', 'tabla', 'tabla2',
+  'tablex', 'tacscan', 'tech', 'techno', 'tink', 'tok', 'toys', 'trump', 'ul', 'ulgab', 'uxay', 'v', 'voodoo',
+  'wind', 'wobble', 'world', 'xmas', 'yeah'
+];
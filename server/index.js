@@ -4,49 +4,487 @@ import cors from 'cors';
 import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs';
+import os from 'os';
+import { Readable } from 'stream';
 import { fileURLToPath } from 'url';
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { validateStrudelCode, knownSoundNames, loadKnownSoundNames, setSampleBanks } from './validate.js';
+import { createProvider } from './providers/index.js';
+import { loadAuthConfig, corsOptions, requireApiKey, rateLimit, dailyQuota } from './auth.js';
+import { createJobQueue } from './jobQueue.js';
+import { analyzeSample, findTransients } from './analysis.js';
+import { createSampleBankMirror, parseSampleBanks, DEFAULT_SAMPLE_BANKS } from './sampleBanks.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const SAMPLES_DIR = path.join(__dirname, '..', 'public', 'samples');
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Ensure data directory exists
+if (!fs.existsSync(DATA_DIR)) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+}
 
 // Detect yt-dlp and ffmpeg paths (works locally and on Railway)
 const YT_DLP_PATH = process.env.YT_DLP_PATH || 'yt-dlp';
 const FFMPEG_PATH = process.env.FFMPEG_PATH || '/opt/homebrew/bin/ffmpeg';
-
-// Initialize Gemini (API key from environment)
-const genAI = process.env.GEMINI_API_KEY
-  ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
-  : null;
+// ffprobe ships next to ffmpeg
+const FFPROBE_PATH = process.env.FFPROBE_PATH || FFMPEG_PATH.replace(/ffmpeg(\.exe)?$/, 'ffprobe$1');
+
+// Initialize the LLM provider (see providers/index.js for the environment variables)
+let llm = null;
+let llmError = null;
+try {
+  llm = createProvider(process.env);
+} catch (err) {
+  llmError = err.message;
+  console.warn('AI generation disabled:', llmError);
+}
 
 // Ensure samples directory exists
 if (!fs.existsSync(SAMPLES_DIR)) {
   fs.mkdirSync(SAMPLES_DIR, { recursive: true });
 }
 
+// Access control (see auth.js for the environment variables)
+const authConfig = loadAuthConfig(process.env);
+if (authConfig.apiKeys.size === 0) {
+  console.warn('API_KEYS is not set: the API is open to anyone who can reach it');
+}
+
+// Limiters for the endpoints that cost money or disk space
+const generateLimit = rateLimit({ label: 'generation', max: authConfig.generateRateLimit, apiKeys: authConfig.apiKeys });
+const downloadLimit = rateLimit({ label: 'download', max: authConfig.downloadRateLimit, apiKeys: authConfig.apiKeys });
+const generationQuota = dailyQuota({
+  limit: authConfig.dailyGenerationQuota,
+  cost: (req) => requestedVariations(req.body),
+  apiKeys: authConfig.apiKeys
+});
+
 const app = express();
-app.use(cors());
+// Behind a proxy (Railway, Fly...) set TRUST_PROXY=1 so limits apply per client, not per proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+app.use(cors(corsOptions(authConfig)));
 app.use(express.json());
+app.use('/api', requireApiKey(authConfig));
+
+// Absolute URL of a path on this server as the client reached it (the public
+// one behind a proxy, given TRUST_PROXY)
+const publicUrl = (req, pathname) => `${req.protocol}://${req.host}${pathname}`;
+
+// Samples are public like any static file, so any origin may load them and
+// their manifest - strudel.cc included - whatever CORS_ORIGINS says
+app.use('/samples', cors());
+
+// Strudel sample map of the whole library, for samples("<server>/samples/strudel.json")
+// File paths are relative to an absolute _base: Strudel's own fallback drops the
+// trailing slash, giving /samplesname.mp3
+app.get('/samples/strudel.json', (req, res) => {
+  try {
+    res.json(sampleManifest(publicUrl(req, '/samples/')));
+  } catch (err) {
+    console.error('Error building sample manifest:', err);
+    res.status(500).json({ error: 'Failed to build sample manifest' });
+  }
+});
 
 // Serve samples statically
 app.use('/samples', express.static(SAMPLES_DIR));
 
-// Get list of downloaded samples
+// Default sample banks (SAMPLE_BANKS), mirrored under data/banks as clients use them
+const sampleBanks = createSampleBankMirror({
+  banks: parseSampleBanks(process.env.SAMPLE_BANKS ?? DEFAULT_SAMPLE_BANKS),
+  dir: path.join(DATA_DIR, 'banks')
+});
+// Generated code may only use sounds from these banks
+setSampleBanks(sampleBanks);
+
+// Open to every origin like /samples
+app.use('/banks', cors());
+
+// A bank's Strudel sample map, with its files under /banks/:id/
+app.get('/banks/:id/strudel.json', async (req, res) => {
+  try {
+    const manifest = await sampleBanks.manifest(req.params.id, publicUrl(req, `/banks/${encodeURIComponent(req.params.id)}/`));
+    if (!manifest) {
+      return res.status(404).json({ error: 'Sample bank not found' });
+    }
+    res.json(manifest);
+  } catch (err) {
+    console.error(`Error loading sample bank ${req.params.id}:`, err.message);
+    res.status(502).json({ error: 'Sample bank is not mirrored and its source is unreachable' });
+  }
+});
+
+// A file from a bank, fetched from its source the first time
+app.get('/banks/:id/*file', async (req, res) => {
+  try {
+    const filePath = await sampleBanks.file(req.params.id, req.params.file.join('/'));
+    if (!filePath) {
+      return res.status(404).json({ error: 'Sample not found' });
+    }
+    res.sendFile(filePath, { maxAge: '30d' });
+  } catch (err) {
+    console.error(`Error loading sample ${req.params.file.join('/')}:`, err.message);
+    res.status(502).json({ error: 'Sample is not mirrored and its source is unreachable' });
+  }
+});
+
+// Configured sample banks, for the client to load at startup
+app.get('/api/banks', (req, res) => {
+  res.json({
+    banks: sampleBanks.list().map(bank => ({ ...bank, manifest: `/banks/${bank.id}/strudel.json` }))
+  });
+});
+
+// Sample library index: what we know about each file in SAMPLES_DIR, keyed by
+// filename. Analysis fills in duration, sampleRate, channels, bpm and key;
+// tags and source (the page it was downloaded from) come from the user.
+// `sound` is the Strudel sound name the file is played by, and `bank` an
+// optional group it's also part of as a numbered variant (s("drums:2")).
+// Sound and bank names share one namespace in the manifest.
+// `slices` are the times (seconds) a chopped sample is cut at; its sound then
+// plays the pieces as variants from 0 on (s("name:3")), and the whole file
+// moves to its own sound, `wholeSound` (s("name_full")).
+const SAMPLE_INDEX_FILE = path.join(DATA_DIR, 'samples.json');
+const SLICES_DIR = path.join(SAMPLES_DIR, 'slices');
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+const MAX_SLICES = 128;
+
+const loadSampleIndex = () => {
+  if (!fs.existsSync(SAMPLE_INDEX_FILE)) return {};
+  return JSON.parse(fs.readFileSync(SAMPLE_INDEX_FILE, 'utf8'));
+};
+
+const saveSampleIndex = (index) => {
+  fs.writeFileSync(SAMPLE_INDEX_FILE, JSON.stringify(index, null, 2));
+};
+
+// Text made safe to use as a sound name: "Alan Watts (live)" -> "alan_watts_live"
+const soundSlug = (text) => {
+  const slug = text.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'sample';
+  // Mini-notation reads a leading digit as a number
+  return /^[a-z]/.test(slug) ? slug : `sample_${slug}`;
+};
+
+// Sound and bank names in use by the library
+const takenSoundNames = (index) => new Set(
+  Object.values(index).flatMap(entry => [entry.sound, entry.wholeSound, entry.bank]).filter(Boolean)
+);
+
+// `stem`, numbered if needed to be unique in the library and never one of
+// the built-in sounds, so it can't replace "bd" for every other pattern
+const uniqueName = (stem, index) => {
+  const taken = new Set([...takenSoundNames(index), ...knownSoundNames()]);
+
+  let name = stem;
+  for (let n = 2; taken.has(name); n++) {
+    name = `${stem}_${n}`;
+  }
+  return name;
+};
+
+// Strudel sound name for a sample file
+const uniqueSoundName = (filename, index) =>
+  uniqueName(soundSlug(path.basename(filename, path.extname(filename))), index);
+
+// Sound and bank names of every indexed sample
+const librarySoundNames = () => Array.from(takenSoundNames(loadSampleIndex()));
+
+const updateSampleEntry = (filename, fields) => {
+  const index = loadSampleIndex();
+  index[filename] = {
+    duration: null,
+    sampleRate: null,
+    channels: null,
+    bpm: null,
+    key: null,
+    tags: [],
+    bank: null,
+    slices: [],
+    wholeSound: null,
+    source: null,
+    addedAt: new Date().toISOString(),
+    ...index[filename],
+    ...fields
+  };
+  if (!index[filename].sound) {
+    index[filename].sound = uniqueSoundName(filename, index);
+  }
+  saveSampleIndex(index);
+  return index[filename];
+};
+
+// Lowercased, trimmed and de-duplicated
+const normalizeTags = (tags) => [...new Set(
+  tags
+    .filter(tag => typeof tag === 'string')
+    .map(tag => tag.trim().toLowerCase().substring(0, MAX_TAG_LENGTH))
+    .filter(Boolean)
+)].slice(0, MAX_TAGS);
+
+// Analyses run one at a time so a big library doesn't start dozens of ffmpegs
+let analysisQueue = Promise.resolve();
+
+// Add a sample to the index and analyse it in the background
+const indexSample = (filename, fields = {}) => {
+  const entry = updateSampleEntry(filename, { ...fields, analysis: 'pending' });
+  const filePath = path.join(SAMPLES_DIR, filename);
+
+  analysisQueue = analysisQueue.then(async () => {
+    // Deleted while waiting
+    if (!fs.existsSync(filePath)) return;
+    try {
+      const result = await analyzeSample(filePath, { ffmpegPath: FFMPEG_PATH, ffprobePath: FFPROBE_PATH });
+      if (!fs.existsSync(filePath)) return;
+      updateSampleEntry(filename, { ...result, analysis: 'done', analyzedAt: new Date().toISOString() });
+    } catch (err) {
+      console.error(`Could not analyse ${filename}:`, err.message);
+      if (fs.existsSync(filePath)) updateSampleEntry(filename, { analysis: 'failed' });
+    }
+  });
+  return entry;
+};
+
+// Every sample file with its index entry: [{ filename, entry }]
+// Files that aren't in the index yet (copied in by hand, older installs) are
+// added and queued for analysis
+const librarySamples = () => {
+  const index = loadSampleIndex();
+  return fs.readdirSync(SAMPLES_DIR)
+    .filter(f => f.endsWith('.mp3') || f.endsWith('.wav'))
+    .map(filename => {
+      if (!index[filename]) return { filename, entry: indexSample(filename) };
+      // Indexed before samples had sound names
+      const entry = index[filename].sound ? index[filename] : updateSampleEntry(filename, {});
+      return { filename, entry };
+    });
+};
+
+// Files in each bank, oldest first, so variant numbers only shift when one is removed
+const bankFiles = (samples) => {
+  const banks = {};
+  samples
+    .filter(({ entry }) => entry.bank)
+    .sort((a, b) => a.entry.addedAt.localeCompare(b.entry.addedAt) || a.filename.localeCompare(b.filename))
+    .forEach(({ filename, entry }) => {
+      if (!banks[entry.bank]) banks[entry.bank] = [];
+      banks[entry.bank].push(filename);
+    });
+  return banks;
+};
+
+// Where a chopped sample's slices are kept, and their paths relative to SAMPLES_DIR
+// The version query makes Strudel fetch them again after a re-chop, since it
+// caches buffers by URL
+const sliceDir = (entry) => path.join(SLICES_DIR, entry.sound);
+const sliceFiles = (entry) =>
+  Array.from({ length: entry.slices.length + 1 }, (_, i) =>
+    `slices/${encodeURIComponent(entry.sound)}/${i}.wav?v=${Date.parse(entry.slicedAt) || 0}`);
+
+// Each sample under its own sound (its slices if chopped, with the whole file under
+// its wholeSound), plus every bank with its files in variant order, all relative to `base`
+const sampleManifest = (base) => {
+  const samples = librarySamples();
+  const manifest = { _base: base };
+  samples.forEach(({ filename, entry }) => {
+    if (entry.slices?.length) {
+      manifest[entry.sound] = sliceFiles(entry);
+      manifest[entry.wholeSound] = [encodeURIComponent(filename)];
+    } else {
+      manifest[entry.sound] = [encodeURIComponent(filename)];
+    }
+  });
+  Object.entries(bankFiles(samples)).forEach(([bank, files]) => {
+    manifest[bank] = files.map(encodeURIComponent);
+  });
+  return manifest;
+};
+
+// `variant` is the sample's number in its bank
+const sampleListing = (filename, entry, banks = {}) => ({
+  name: filename,
+  path: `/samples/${filename}`,
+  size: fs.statSync(path.join(SAMPLES_DIR, filename)).size,
+  ...entry,
+  variant: entry.bank ? banks[entry.bank]?.indexOf(filename) ?? null : null
+});
+
+// Get list of downloaded samples with their library metadata
 app.get('/api/samples', (req, res) => {
   try {
-    const files = fs.readdirSync(SAMPLES_DIR)
-      .filter(f => f.endsWith('.mp3') || f.endsWith('.wav'))
-      .map(f => ({
-        name: f,
-        path: `/samples/${f}`,
-        size: fs.statSync(path.join(SAMPLES_DIR, f)).size
-      }));
-    res.json({ samples: files });
+    const samples = librarySamples();
+    const banks = bankFiles(samples);
+    res.json({ samples: samples.map(({ filename, entry }) => sampleListing(filename, entry, banks)) });
   } catch (err) {
     res.json({ samples: [] });
   }
 });
 
+// Update a sample's tags or bank, or correct its detected bpm or key
+app.patch('/api/samples/:filename', (req, res) => {
+  const { filename } = req.params;
+  const { tags, bank, bpm, key } = req.body;
+
+  if (path.basename(filename) !== filename || !fs.existsSync(path.join(SAMPLES_DIR, filename))) {
+    return res.status(404).json({ error: 'Sample not found' });
+  }
+
+  const fields = {};
+  if (tags !== undefined) {
+    if (!Array.isArray(tags)) {
+      return res.status(400).json({ error: 'tags must be an array of strings' });
+    }
+    fields.tags = normalizeTags(tags);
+  }
+  if (bpm !== undefined) {
+    if (bpm !== null && !(Number.isFinite(bpm) && bpm > 0 && bpm <= 400)) {
+      return res.status(400).json({ error: 'bpm must be a number between 1 and 400' });
+    }
+    fields.bpm = bpm === null ? null : Math.round(bpm * 100) / 100;
+  }
+  if (key !== undefined) {
+    if (key !== null && typeof key !== 'string') {
+      return res.status(400).json({ error: 'key must be a string' });
+    }
+    fields.key = key?.trim() || null;
+  }
+  if (bank !== undefined) {
+    if (bank !== null && typeof bank !== 'string') {
+      return res.status(400).json({ error: 'bank must be a string' });
+    }
+    const name = bank?.trim() ? soundSlug(bank.trim()) : null;
+    // A bank can't share a name with a single sample or a built-in sound
+    const index = loadSampleIndex();
+    const clashes = Object.values(index).some(entry => entry.sound === name || entry.wholeSound === name) || knownSoundNames().has(name);
+    if (name && clashes) {
+      return res.status(409).json({ error: `"${name}" is already a sound name` });
+    }
+    fields.bank = name;
+  }
+
+  try {
+    const entry = updateSampleEntry(filename, fields);
+    const banks = bankFiles(librarySamples());
+    res.json({ success: true, sample: sampleListing(filename, entry, banks) });
+  } catch (err) {
+    console.error('Error updating sample:', err);
+    res.status(500).json({ error: 'Failed to update sample' });
+  }
+});
+
+// Cut one slice of a sample to WAV; end null runs to the end of the file
+function cutSlice(inputPath, outputPath, start, end) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(FFMPEG_PATH, [
+      '-y',
+      '-v', 'error',
+      '-i', inputPath,
+      '-ss', String(start),
+      ...(end === null ? [] : ['-to', String(end)]),
+      '-vn',
+      '-c:a', 'pcm_s16le',
+      outputPath
+    ]);
+    let error = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      error += data.toString();
+    });
+    ffmpeg.on('error', () => reject(new Error('ffmpeg is not available')));
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        console.error('ffmpeg slice failed:', error);
+        return reject(new Error('Could not cut the sample'));
+      }
+      resolve();
+    });
+  });
+}
+
+// Cut a sample into slices at the given times, replacing any earlier slices
+// only once every new one has been written
+async function writeSlices(filePath, entry, points) {
+  const dir = sliceDir(entry);
+  const tempDir = `${dir}.${Date.now()}.tmp`;
+  fs.mkdirSync(tempDir, { recursive: true });
+  try {
+    const bounds = [0, ...points, null];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      await cutSlice(filePath, path.join(tempDir, `${i}.wav`), bounds[i], bounds[i + 1]);
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.renameSync(tempDir, dir);
+  } catch (err) {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+// Suggested chop points at the sample's transients; sensitivity is 0-1
+app.get('/api/samples/:filename/transients', async (req, res) => {
+  const { filename } = req.params;
+  const filePath = path.join(SAMPLES_DIR, filename);
+  const sensitivity = req.query.sensitivity === undefined ? 0.5 : Number(req.query.sensitivity);
+
+  if (path.basename(filename) !== filename || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Sample not found' });
+  }
+  if (!(sensitivity >= 0 && sensitivity <= 1)) {
+    return res.status(400).json({ error: 'sensitivity must be between 0 and 1' });
+  }
+
+  try {
+    const points = await findTransients(filePath, { ffmpegPath: FFMPEG_PATH, sensitivity });
+    res.json({ points: points.slice(0, MAX_SLICES - 1) });
+  } catch (err) {
+    console.error(`Could not find transients in ${filename}:`, err.message);
+    res.status(500).json({ error: 'Failed to analyse sample' });
+  }
+});
+
+// Chop a sample into slices at `points` (seconds), or undo chopping with []
+app.put('/api/samples/:filename/slices', async (req, res) => {
+  const { filename } = req.params;
+  const { points } = req.body;
+  const filePath = path.join(SAMPLES_DIR, filename);
+
+  if (path.basename(filename) !== filename || !fs.existsSync(filePath)) {
+    return res.status(404).json({ error: 'Sample not found' });
+  }
+  if (!Array.isArray(points) || !points.every(Number.isFinite)) {
+    return res.status(400).json({ error: 'points must be an array of times in seconds' });
+  }
+  if (points.length > MAX_SLICES - 1) {
+    return res.status(400).json({ error: `A sample can have at most ${MAX_SLICES} slices` });
+  }
+
+  const entry = librarySamples().find(sample => sample.filename === filename).entry;
+  const sorted = [...new Set(points.map(point => Math.round(point * 10000) / 10000))].sort((a, b) => a - b);
+  if (sorted.some(point => point <= 0 || (entry.duration && point >= entry.duration))) {
+    return res.status(400).json({ error: 'points must fall inside the sample' });
+  }
+
+  try {
+    if (sorted.length > 0) {
+      await writeSlices(filePath, entry, sorted);
+    } else {
+      fs.rmSync(sliceDir(entry), { recursive: true, force: true });
+    }
+    // The whole file keeps a name of its own while the sound plays slices
+    const wholeSound = sorted.length > 0
+      ? entry.wholeSound || uniqueName(`${entry.sound}_full`, loadSampleIndex())
+      : null;
+    const updated = updateSampleEntry(filename, { slices: sorted, wholeSound, slicedAt: new Date().toISOString() });
+    const banks = bankFiles(librarySamples());
+    res.json({ success: true, sample: sampleListing(filename, updated, banks) });
+  } catch (err) {
+    console.error(`Could not slice ${filename}:`, err.message);
+    res.status(500).json({ error: err.message || 'Failed to slice sample' });
+  }
+});
+
 // Get video/audio info without downloading
 app.post('/api/info', async (req, res) => {
   const { url } = req.body;
@@ -92,83 +530,391 @@ app.post('/api/info', async (req, res) => {
   });
 });
 
-// Download audio sample
-app.post('/api/download', async (req, res) => {
-  const { url, startTime, endTime, filename } = req.body;
+// Open a Server-Sent Events response; returns send(event, data)
+const openEventStream = (res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  return (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Download audio with yt-dlp (converted to MP3 by ffmpeg)
+// Run by the download queue; reports progress parsed from yt-dlp's output
+const DOWNLOAD_PROGRESS = /\[download\]\s+([\d.]+)%/;
+
+function runDownload({ url, startTime, endTime, filename }, { onProgress, signal }) {
+  return new Promise((resolve, reject) => {
+    // Generate safe filename
+    const safeName = (filename || `sample_${Date.now()}`)
+      .replace(/[^a-zA-Z0-9_-]/g, '_')
+      .substring(0, 50);
+    // yt-dlp works in a directory of its own, so cleaning up after it can't
+    // touch the library; the result is moved in under a name that isn't taken
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strudel-download-'));
+
+    const args = [
+      '-x',
+      '--audio-format', 'mp3',
+      '--audio-quality', '0',
+      '-o', path.join(workDir, 'audio.%(ext)s'),
+      '--no-playlist',
+      '--newline', // One progress line per update instead of carriage returns
+      '--ffmpeg-location', FFMPEG_PATH
+    ];
+
+    // Add time range if specified
+    if (startTime && endTime) {
+      args.push('--download-sections', `*${startTime}-${endTime}`);
+    }
+
+    args.push(url);
+
+    console.log('Running yt-dlp with args:', args.join(' '));
+
+    const ytdlp = spawn(YT_DLP_PATH, args);
+    let error = '';
+
+    // Remove whatever the run left behind (.part, .webm...)
+    const cleanUp = () => fs.rmSync(workDir, { recursive: true, force: true });
+
+    const handleAbort = () => ytdlp.kill('SIGTERM');
+    signal.addEventListener('abort', handleAbort);
+
+    onProgress({ progress: 0, stage: 'downloading' });
+
+    ytdlp.stdout.on('data', (data) => {
+      data.toString().split('\n').forEach(line => {
+        const match = line.match(DOWNLOAD_PROGRESS);
+        if (match) {
+          // Downloading is most of the work; conversion gets the last 10%
+          onProgress({ progress: parseFloat(match[1]) * 0.9, stage: 'downloading' });
+        } else if (line.startsWith('[ExtractAudio]')) {
+          onProgress({ progress: 90, stage: 'converting' });
+        }
+      });
+    });
+
+    ytdlp.stderr.on('data', (data) => {
+      error += data.toString();
+      console.error('yt-dlp error:', data.toString());
+    });
+
+    ytdlp.on('error', (err) => {
+      signal.removeEventListener('abort', handleAbort);
+      cleanUp();
+      reject(new Error(`yt-dlp is not available: ${err.message}`));
+    });
+
+    ytdlp.on('close', (code) => {
+      signal.removeEventListener('abort', handleAbort);
+
+      if (signal.aborted) {
+        cleanUp();
+        return reject(new Error('Download cancelled'));
+      }
+      if (code !== 0) {
+        cleanUp();
+        return reject(new Error(error || 'Download failed'));
+      }
+
+      // yt-dlp might have kept a different extension if conversion was skipped
+      const files = fs.readdirSync(workDir).filter(f => !f.endsWith('.part'));
+      const output = files.find(f => f.endsWith('.mp3')) || files[0];
+      if (!output) {
+        cleanUp();
+        return reject(new Error('Download completed but file not found'));
+      }
+
+      try {
+        // Copied rather than renamed, since the temp dir may be on another device
+        const actualFile = uniqueSampleName(safeName, path.extname(output));
+        const finalPath = path.join(SAMPLES_DIR, actualFile);
+        fs.copyFileSync(path.join(workDir, output), finalPath, fs.constants.COPYFILE_EXCL);
+        resolve({
+          filename: actualFile,
+          path: `/samples/${actualFile}`,
+          size: fs.statSync(finalPath).size
+        });
+      } catch (err) {
+        reject(new Error(`Could not save the download: ${err.message}`));
+      } finally {
+        cleanUp();
+      }
+    });
+  });
+}
+
+// DOWNLOAD_CONCURRENCY: how many downloads run at once; the rest wait in line
+// Finished downloads go into the sample library with the page they came from
+const downloads = createJobQueue({
+  concurrency: Math.max(parseInt(process.env.DOWNLOAD_CONCURRENCY, 10) || 2, 1),
+  run: async (params, options) => {
+    const result = await runDownload(params, options);
+    const { sound } = indexSample(result.filename, { source: { url: params.url, title: params.title || null } });
+    return { ...result, sound };
+  }
+});
+
+// Queue an audio sample download
+// Responds 202 { jobId, job } right away; follow the job with the routes below
+app.post('/api/download', downloadLimit, (req, res) => {
+  const { url, title, startTime, endTime, filename } = req.body;
 
   if (!url) {
     return res.status(400).json({ error: 'URL is required' });
   }
 
+  const job = downloads.submit({ url, title, startTime, endTime, filename });
+  res.status(202).json({ jobId: job.id, job });
+});
+
+// Poll a download job
+app.get('/api/download/:id', (req, res) => {
+  const job = downloads.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+  res.json({ job });
+});
+
+// Follow a download job over SSE: a `job` event with the whole job on every
+// change, ending once it is done, failed or cancelled
+app.get('/api/download/:id/events', (req, res) => {
+  const job = downloads.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+
+  const send = openEventStream(res);
+  send('job', job);
+  if (downloads.isFinished(job)) return res.end();
+
+  const unsubscribe = downloads.subscribe(job.id, (update) => {
+    send('job', update);
+    if (downloads.isFinished(update)) {
+      unsubscribe();
+      res.end();
+    }
+  });
+  res.on('close', unsubscribe);
+});
+
+// Cancel a queued or running download
+app.delete('/api/download/:id', (req, res) => {
+  const job = downloads.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Download not found' });
+  }
+  if (!downloads.cancel(job.id)) {
+    return res.status(409).json({ error: `Download already ${job.status}` });
+  }
+  res.json({ success: true });
+});
+
+// Local audio files accepted by /api/upload
+const UPLOAD_EXTENSIONS = ['.wav', '.mp3', '.ogg', '.flac'];
+const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+
+// Re-encode any supported file as 44.1kHz stereo 16-bit WAV so every uploaded
+// sample behaves the same in the browser and in offline export
+function normalizeAudio(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(FFMPEG_PATH, [
+      '-y',
+      '-i', inputPath,
+      '-vn',
+      '-ar', '44100',
+      '-ac', '2',
+      '-c:a', 'pcm_s16le',
+      outputPath
+    ]);
+    let error = '';
+
+    ffmpeg.stderr.on('data', (data) => {
+      error += data.toString();
+    });
+    ffmpeg.on('error', () => reject(new Error('ffmpeg is not available')));
+    ffmpeg.on('close', (code) => {
+      if (code !== 0) {
+        console.error('ffmpeg normalize failed:', error);
+        fs.rmSync(outputPath, { force: true });
+        return reject(new Error('Could not read this audio file'));
+      }
+      resolve();
+    });
+  });
+}
+
+// A filename in SAMPLES_DIR that isn't taken yet: name.wav, name_2.wav...
+const uniqueSampleName = (baseName, extension) => {
+  let name = `${baseName}${extension}`;
+  for (let n = 2; fs.existsSync(path.join(SAMPLES_DIR, name)); n++) {
+    name = `${baseName}_${n}${extension}`;
+  }
+  return name;
+};
+
+// Put a new file in SAMPLES_DIR under a name that isn't taken, never replacing
+// one. write(filePath) has to fail with EEXIST if the file is there already
+// (flag 'wx', COPYFILE_EXCL); then the name was just taken and the next is tried.
+// Returns the filename used.
+const saveNewSample = (baseName, extension, write) => {
+  for (;;) {
+    const filename = uniqueSampleName(baseName, extension);
+    try {
+      write(path.join(SAMPLES_DIR, filename));
+      return filename;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+  }
+};
+
+// Upload local audio files as samples (multipart, one or more "files" fields)
+// Each file is normalized with ffmpeg; responds with the samples that made it
+// and an error for each file that didn't
+app.post('/api/upload', downloadLimit, async (req, res) => {
+  if (!req.is('multipart/form-data')) {
+    return res.status(400).json({ error: 'Expected a multipart/form-data upload' });
+  }
+  if (parseInt(req.get('content-length'), 10) > MAX_UPLOAD_BYTES) {
+    return res.status(413).json({ error: 'Upload is too large (200 MB max)' });
+  }
+
+  // Node's fetch Request parses multipart bodies, no upload middleware needed
+  let files;
+  try {
+    const form = await new Request('http://localhost/upload', {
+      method: 'POST',
+      headers: { 'content-type': req.get('content-type') },
+      body: Readable.toWeb(req),
+      duplex: 'half'
+    }).formData();
+    files = form.getAll('files').filter(file => typeof file === 'object');
+  } catch (err) {
+    console.error('Error reading upload:', err);
+    return res.status(400).json({ error: 'Could not read the uploaded files' });
+  }
+
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'No files uploaded' });
+  }
+
+  const samples = [];
+  const errors = [];
+
+  for (const file of files) {
+    const extension = path.extname(file.name).toLowerCase();
+    if (!UPLOAD_EXTENSIONS.includes(extension)) {
+      errors.push({ name: file.name, error: `Unsupported file type (use ${UPLOAD_EXTENSIONS.join(', ')})` });
+      continue;
+    }
+
+    // Generate safe filename
+    const safeName = path.basename(file.name, path.extname(file.name))
+      .replace(/[^a-zA-Z0-9_-]/g, '_')
+      .substring(0, 50) || `upload_${Date.now()}`;
+    // Converted next to the upload, and only named once it's done, so uploads
+    // of the same name at the same time can't end up writing the same file
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'strudel-upload-'));
+    const tempPath = path.join(tempDir, `input${extension}`);
+    const convertedPath = path.join(tempDir, 'output.wav');
+
+    try {
+      fs.writeFileSync(tempPath, Buffer.from(await file.arrayBuffer()));
+      await normalizeAudio(tempPath, convertedPath);
+      const filename = saveNewSample(safeName, '.wav', (filePath) =>
+        fs.copyFileSync(convertedPath, filePath, fs.constants.COPYFILE_EXCL));
+      const stats = fs.statSync(path.join(SAMPLES_DIR, filename));
+      const { sound } = indexSample(filename, { source: { url: null, title: file.name } });
+      samples.push({ filename, path: `/samples/${filename}`, size: stats.size, sound });
+    } catch (err) {
+      errors.push({ name: file.name, error: err.message });
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  if (samples.length === 0) {
+    return res.status(422).json({ error: errors.map(e => `${e.name}: ${e.error}`).join('; '), errors });
+  }
+  res.json({ success: true, samples, errors });
+});
+
+// Upload a recorded sample (raw WAV body from the Record tile)
+app.post('/api/record', downloadLimit, express.raw({ type: 'audio/*', limit: '100mb' }), (req, res) => {
+  if (!req.body || !req.body.length) {
+    return res.status(400).json({ error: 'Audio data is required' });
+  }
+
   // Generate safe filename
-  const safeName = (filename || `sample_${Date.now()}`)
+  const safeName = (req.query.filename || `recording_${Date.now()}`)
     .replace(/[^a-zA-Z0-9_-]/g, '_')
     .substring(0, 50);
-  const outputPath = path.join(SAMPLES_DIR, `${safeName}.mp3`);
-
-  const args = [
-    '-x',
-    '--audio-format', 'mp3',
-    '--audio-quality', '0',
-    '-o', outputPath,
-    '--no-playlist',
-    '--ffmpeg-location', FFMPEG_PATH
-  ];
 
-  // Add time range if specified
-  if (startTime && endTime) {
-    args.push('--download-sections', `*${startTime}-${endTime}`);
+  try {
+    // A second take with the same name becomes take_2.wav
+    const filename = saveNewSample(safeName, '.wav', (filePath) => fs.writeFileSync(filePath, req.body, { flag: 'wx' }));
+    const stats = fs.statSync(path.join(SAMPLES_DIR, filename));
+    const { sound } = indexSample(filename, { source: null });
+    res.json({
+      success: true,
+      filename,
+      path: `/samples/${filename}`,
+      size: stats.size,
+      sound
+    });
+  } catch (err) {
+    console.error('Error saving recording:', err);
+    res.status(500).json({ error: 'Failed to save recording' });
   }
+});
 
-  args.push(url);
-
-  console.log('Running yt-dlp with args:', args.join(' '));
+// Convert an exported WAV mix to MP3 with ffmpeg
+app.post('/api/encode', express.raw({ type: 'audio/*', limit: '200mb' }), (req, res) => {
+  if (!req.body || !req.body.length) {
+    return res.status(400).json({ error: 'Audio data is required' });
+  }
 
-  const ytdlp = spawn(YT_DLP_PATH, args);
+  const ffmpeg = spawn(FFMPEG_PATH, [
+    '-f', 'wav',
+    '-i', 'pipe:0',
+    '-codec:a', 'libmp3lame',
+    '-q:a', '2',
+    '-f', 'mp3',
+    'pipe:1'
+  ]);
+  const chunks = [];
   let error = '';
-  let progress = '';
 
-  ytdlp.stdout.on('data', (data) => {
-    progress += data.toString();
-    console.log('yt-dlp:', data.toString());
+  ffmpeg.stdout.on('data', (data) => chunks.push(data));
+  ffmpeg.stderr.on('data', (data) => {
+    error += data.toString();
   });
 
-  ytdlp.stderr.on('data', (data) => {
-    error += data.toString();
-    console.error('yt-dlp error:', data.toString());
+  ffmpeg.on('error', (err) => {
+    console.error('ffmpeg error:', err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'ffmpeg is not available' });
+    }
   });
 
-  ytdlp.on('close', (code) => {
+  ffmpeg.on('close', (code) => {
+    if (res.headersSent) return;
     if (code !== 0) {
-      return res.status(400).json({ error: error || 'Download failed' });
+      console.error('ffmpeg encode failed:', error);
+      return res.status(500).json({ error: 'Failed to encode MP3' });
     }
+    res.type('audio/mpeg').send(Buffer.concat(chunks));
+  });
 
-    // Check if file exists
-    if (fs.existsSync(outputPath)) {
-      const stats = fs.statSync(outputPath);
-      res.json({
-        success: true,
-        filename: `${safeName}.mp3`,
-        path: `/samples/${safeName}.mp3`,
-        size: stats.size
-      });
-    } else {
-      // yt-dlp might have added a different extension or modified name
-      const files = fs.readdirSync(SAMPLES_DIR).filter(f => f.includes(safeName));
-      if (files.length > 0) {
-        const actualFile = files[0];
-        const stats = fs.statSync(path.join(SAMPLES_DIR, actualFile));
-        res.json({
-          success: true,
-          filename: actualFile,
-          path: `/samples/${actualFile}`,
-          size: stats.size
-        });
-      } else {
-        res.status(500).json({ error: 'Download completed but file not found' });
-      }
-    }
+  ffmpeg.stdin.on('error', () => {
+    // ffmpeg exited early, reported on close
   });
+  ffmpeg.stdin.end(req.body);
 });
 
 // Delete a sample
@@ -176,19 +922,26 @@ app.delete('/api/samples/:filename', (req, res) => {
   const { filename } = req.params;
   const filePath = path.join(SAMPLES_DIR, filename);
 
-  if (!fs.existsSync(filePath)) {
+  // Only a file directly in SAMPLES_DIR: not ../anything, nor the slices directory
+  if (path.basename(filename) !== filename || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
     return res.status(404).json({ error: 'Sample not found' });
   }
 
   try {
     fs.unlinkSync(filePath);
+    const index = loadSampleIndex();
+    if (index[filename]?.sound) {
+      fs.rmSync(sliceDir(index[filename]), { recursive: true, force: true });
+    }
+    delete index[filename];
+    saveSampleIndex(index);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: 'Failed to delete sample' });
   }
 });
 
-// Generate Strudel code with Gemini
+// Generate Strudel code with the configured LLM
 const STRUDEL_SYSTEM_PROMPT = `You are an expert Strudel code generator. Strudel is a powerful JavaScript library for live coding music and algorithmic composition.
 
 CRITICAL: Return ONLY valid JavaScript code. NO markdown, NO explanations, NO comments outside the code.
@@ -292,53 +1045,388 @@ REMEMBER:
 - Angle brackets <> for alternation, square brackets [] for subdivision
 - Always specify arguments for methods that need them`;
 
-app.post('/api/generate', async (req, res) => {
-  const { prompt } = req.body;
+// The user's samples the model may use, if there are any
+const MAX_PROMPT_SOUNDS = 50;
+const librarySoundsPrompt = () => {
+  const entries = Object.values(loadSampleIndex()).filter(entry => entry.sound);
+  if (entries.length === 0) return null;
+  const banks = {};
+  entries.filter(entry => entry.bank).forEach(entry => {
+    banks[entry.bank] = (banks[entry.bank] || 0) + 1;
+  });
+  const bankList = Object.entries(banks).map(([bank, count]) => `${bank} (${bank}:0 to ${bank}:${count - 1})`);
+
+  return `=== USER SAMPLES ===
+The user's own samples play like any other sample, e.g. s("${entries[0].sound}"). Only use them when the request asks for them, by name or as "my sample":
+${entries.slice(0, MAX_PROMPT_SOUNDS).map(entry =>
+    entry.slices?.length ? `${entry.sound} (chopped: ${entry.sound}:0 to ${entry.sound}:${entry.slices.length}, whole sample: ${entry.wholeSound})` : entry.sound
+  ).join(', ')}${bankList.length > 0 ? `
+Banks of the user's samples, numbered like dirt-samples: ${bankList.join(', ')}` : ''}`;
+};
+
+// Strip markdown code fences the model sometimes wraps its answer in
+const cleanGeneratedCode = (text) =>
+  text.trim().replace(/^```(?:javascript|js)?\n?/i, '').replace(/\n?```$/i, '').trim();
+
+// New tiles are described as well as coded. Metadata comes before the code
+// so the code is the last thing streamed.
+const GENERATE_FORMAT = `=== RESPONSE FORMAT ===
+Respond with a single JSON object instead of bare code, with the fields in this order:
+{
+  "title": "short tile name, 2-4 words",
+  "description": "one sentence describing the sound",
+  "bpm": the tempo this style is usually played at, as a number (drum and bass ~170, dubstep ~140, techno ~130, house ~124, hip hop ~90, lo-fi ~80),
+  "genre": "one or two word genre tag, lowercase",
+  "code": "the Strudel code, as a JSON string"
+}
+All the rules above still apply to the code itself.`;
+
+const MIN_BPM = 40;
+const MAX_BPM = 220;
+
+// Keep whatever metadata the model got right and drop the rest
+const normalizeMetadata = (data) => {
+  const meta = {};
+  if (typeof data.title === 'string' && data.title.trim()) {
+    meta.title = data.title.trim().substring(0, 40);
+  }
+  if (typeof data.description === 'string' && data.description.trim()) {
+    meta.description = data.description.trim();
+  }
+  const bpm = Number(data.bpm);
+  if (Number.isFinite(bpm) && bpm > 0) {
+    meta.bpm = Math.round(Math.min(Math.max(bpm, MIN_BPM), MAX_BPM));
+  }
+  if (typeof data.genre === 'string' && data.genre.trim()) {
+    meta.genre = data.genre.trim().toLowerCase().substring(0, 24);
+  }
+  return meta;
+};
+
+const looksLikeJson = (text) => /^\s*(```(?:json)?\s*)?\{/i.test(text);
+
+// Split a structured answer into code and metadata
+// Models that ignore the format still give usable code, just no metadata
+const parseStructuredGeneration = (text) => {
+  if (looksLikeJson(text)) {
+    try {
+      const data = JSON.parse(text.trim().replace(/^```(?:json)?\n?/i, '').replace(/\n?```$/, ''));
+      if (typeof data.code === 'string') {
+        return { code: cleanGeneratedCode(data.code), meta: normalizeMetadata(data) };
+      }
+    } catch {
+      // Not valid JSON after all, treat it as code
+    }
+  }
+  return { code: cleanGeneratedCode(text), meta: {} };
+};
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+// The "code" field decoded as far as it has been written, for streaming previews
+const partialCodeField = (text) => {
+  const match = text.match(/"code"\s*:\s*"/);
+  if (!match) return '';
+
+  let code = '';
+  for (let i = match.index + match[0].length; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') break;
+    if (ch !== '\\') {
+      code += ch;
+      continue;
+    }
+    // Stop at an escape sequence that hasn't fully arrived yet
+    const next = text[i + 1];
+    if (next === undefined) break;
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      code += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      code += JSON_ESCAPES[next] ?? next;
+      i += 1;
+    }
+  }
+  return code;
+};
+
+// Ask the model for code until it passes validation, feeding each failure back
+// messages: conversation ending with the user's request
+// onToken/onRetry: when given, the answer is streamed and reported as it arrives
+// structured: expect a GENERATE_FORMAT answer; only its code is streamed to onToken
+const MAX_GENERATION_ATTEMPTS = 3;
+
+async function generateValidCode(system, messages, { onToken, onRetry, signal, structured = false } = {}) {
+  const conversation = [...messages];
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+    let text = '';
+    if (onToken) {
+      let sent = '';
+      for await (const chunk of llm.stream({ system, messages: conversation, signal, json: structured })) {
+        if (signal?.aborted) break;
+        text += chunk;
+        const preview = structured && looksLikeJson(text) ? partialCodeField(text) : text;
+        if (preview.length > sent.length && preview.startsWith(sent)) {
+          onToken(preview.slice(sent.length));
+          sent = preview;
+        }
+      }
+      if (signal?.aborted) {
+        const err = new Error('Generation cancelled');
+        err.name = 'AbortError';
+        throw err;
+      }
+    } else {
+      text = await llm.complete({ system, messages: conversation, json: structured });
+    }
+    const { code, meta } = structured
+      ? parseStructuredGeneration(text)
+      : { code: cleanGeneratedCode(text), meta: {} };
+
+    const validation = await validateStrudelCode(code, { sounds: librarySoundNames() });
+    if (validation.valid) {
+      return { code, meta, attempts: attempt };
+    }
+
+    lastError = validation.error;
+    console.log(`Generated code failed validation (attempt ${attempt}):`, lastError);
+    if (attempt < MAX_GENERATION_ATTEMPTS) {
+      onRetry?.({ attempt: attempt + 1, error: lastError });
+    }
+    conversation.push(
+      { role: 'assistant', content: text },
+      {
+        role: 'user',
+        content: `That code is invalid: ${lastError}\nReturn a corrected version of the complete ${structured ? 'answer in the same JSON format' : 'code'}.`
+      }
+    );
+  }
+
+  const err = new Error(`Could not generate valid Strudel code: ${lastError}`);
+  err.status = 422;
+  throw err;
+}
+
+// List the models the configured provider offers
+app.get('/api/models', async (req, res) => {
+  if (!llm) {
+    return res.status(500).json({ error: llmError });
+  }
+
+  try {
+    const models = await llm.listModels();
+    res.json({ provider: llm.name, model: llm.model, models });
+  } catch (err) {
+    console.error('Error listing models:', err);
+    res.status(502).json({ error: err.message || 'Failed to list models' });
+  }
+});
+
+// Ask for several distinct takes on one prompt. Each later variation sees the
+// earlier ones so the model doesn't hand back the same pattern again.
+const MAX_VARIATIONS = 4;
+
+function requestedVariations(body) {
+  return Math.min(Math.max(parseInt(body?.variations, 10) || 1, 1), MAX_VARIATIONS);
+}
+
+const variationMessages = (prompt, index, count, previous) => {
+  if (index === 0 || previous.length === 0) {
+    return [{ role: 'user', content: prompt }];
+  }
+  return [{
+    role: 'user',
+    content: `${prompt}\n\nThis is variation ${index + 1} of ${count}. Make it clearly different from these earlier versions (rhythm, sounds, harmony or effects):\n\n${previous.join('\n\n---\n\n')}`
+  }];
+};
+
+// "Add a part": the tracks already playing, so a new layer can fit with them
+const MAX_CONTEXT_TRACKS = 8;
+const MAX_CONTEXT_CODE_LENGTH = 4000;
+
+const normalizeLayerContext = (context) => {
+  const tracks = (Array.isArray(context?.tracks) ? context.tracks : [])
+    .filter(track => typeof track?.code === 'string' && track.code.trim())
+    .slice(0, MAX_CONTEXT_TRACKS)
+    .map(track => ({
+      name: String(track.name || 'Untitled'),
+      code: track.code.trim().substring(0, MAX_CONTEXT_CODE_LENGTH)
+    }));
+  if (tracks.length === 0) return null;
+
+  const bpm = Number(context.bpm);
+  return { bpm: Number.isFinite(bpm) && bpm > 0 ? Math.round(bpm) : 120, tracks };
+};
+
+const layerInstructions = ({ bpm, tracks }) => `=== ADD A PART ===
+These tracks are already playing together at ${bpm} BPM (one cycle = one bar):
+
+${tracks.map(track => `// ${track.name}\n${track.code}`).join('\n\n')}
+
+Write ONE new layer that is played on top of them, not a full arrangement:
+- Use the same key and scale as the existing notes and chords. Work it out from the code.
+- Stay on the same rhythmic grid: same cycle length and subdivisions, so it locks in with the drums.
+- Fill a role that is missing or asked for, and don't double what's already there.
+- Don't repeat the existing tracks and don't call setcps/setcpm; tempo is handled for you.
+- Report bpm as ${bpm}.`;
+
+// Generate `count` variations, calling onVariation as each one finishes
+// Failed variations are reported with an error instead of code
+async function generateVariations(prompt, count, { context, onToken, onRetry, onVariation, signal } = {}) {
+  const variations = [];
+  const system = [STRUDEL_SYSTEM_PROMPT, librarySoundsPrompt(), context && layerInstructions(context), GENERATE_FORMAT]
+    .filter(Boolean)
+    .join('\n\n');
+
+  for (let index = 0; index < count; index++) {
+    const previous = variations.filter(v => v.code).map(v => v.code);
+    let variation;
+    try {
+      const { code, meta, attempts } = await generateValidCode(
+        system,
+        variationMessages(prompt, index, count, previous),
+        {
+          onToken: onToken && ((text) => onToken(index, text)),
+          onRetry: onRetry && ((retry) => onRetry(index, retry)),
+          signal,
+          structured: true
+        }
+      );
+      variation = { variation: index, code, ...meta, attempts };
+      // A layer plays on the master clock whatever tempo the model suggests
+      if (context) variation.bpm = context.bpm;
+    } catch (err) {
+      if (signal?.aborted || err.status !== 422) throw err;
+      variation = { variation: index, error: err.message };
+    }
+    variations.push(variation);
+    onVariation?.(variation);
+  }
+
+  if (!variations.some(v => v.code)) {
+    const err = new Error(variations[0].error);
+    err.status = 422;
+    throw err;
+  }
+  return variations;
+}
+
+// variations: how many takes to generate (1-4, default 1)
+// With { stream: true } the answer is sent as SSE while it is written:
+//   token      { variation, text }            a chunk of the model's output
+//   retry      { variation, attempt, error }  validation failed, the model is trying again
+//   variation  { variation, code, title, description, bpm, genre, attempts } or { variation, error }
+//   done       { code, title, description, bpm, genre, prompt, attempts, variations }
+//   error      { error }
+// title, description, bpm and genre are each left out if the model didn't give them.
+// Closing the connection cancels generation.
+// context: { bpm, tracks: [{ name, code }] } asks for a layer that fits the playing tracks
+app.post('/api/generate', generateLimit, generationQuota, async (req, res) => {
+  const { prompt, stream } = req.body;
+  const count = requestedVariations(req.body);
+  const context = normalizeLayerContext(req.body.context);
 
   if (!prompt) {
     return res.status(400).json({ error: 'Prompt is required' });
   }
 
-  if (!genAI) {
-    return res.status(500).json({
-      error: 'Gemini API key not configured. Set GEMINI_API_KEY environment variable.'
+  if (!llm) {
+    return res.status(500).json({ error: llmError });
+  }
+
+  // The first good variation is also returned at the top level for single-result callers
+  const result = (variations) => {
+    const { variation: _variation, ...first } = variations.find(v => v.code);
+    return { ...first, prompt, variations };
+  };
+
+  if (stream) {
+    const send = openEventStream(res);
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
     });
+
+    try {
+      const variations = await generateVariations(prompt, count, {
+        context,
+        onToken: (variation, text) => send('token', { variation, text }),
+        onRetry: (variation, retry) => send('retry', { variation, ...retry }),
+        onVariation: (variation) => send('variation', variation),
+        signal: controller.signal
+      });
+      send('done', result(variations));
+    } catch (err) {
+      if (controller.signal.aborted) {
+        console.log('Generation cancelled by client');
+        return res.end();
+      }
+      console.error(`${llm.name} error:`, err);
+      send('error', { error: err.message || 'Failed to generate code' });
+    }
+    return res.end();
   }
 
   try {
-    const model = genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash-lite'
-    });
+    const variations = await generateVariations(prompt, count, { context });
+    res.json({ success: true, ...result(variations) });
+  } catch (err) {
+    console.error(`${llm.name} error:`, err);
+    res.status(err.status || 500).json({ error: err.message || 'Failed to generate code' });
+  }
+});
 
-    const fullPrompt = STRUDEL_SYSTEM_PROMPT + '\n\n' + prompt;
+// Refine an existing pattern conversationally
+// history: previous turns for this tile, oldest first: [{ request, code }]
+const REFINE_INSTRUCTIONS = `You are editing an existing Strudel pattern for the user.
+Apply the requested change to the current code and keep everything else as it is.
+Return the complete updated code only, in the same format as before.`;
 
-    const result = await model.generateContent(fullPrompt);
+app.post('/api/refine', generateLimit, generationQuota, async (req, res) => {
+  const { code, request, history = [] } = req.body;
 
-    const response = await result.response;
-    let code = response.text().trim();
+  if (!code || !request) {
+    return res.status(400).json({ error: 'Code and request are required' });
+  }
+
+  if (!llm) {
+    return res.status(500).json({ error: llmError });
+  }
+
+  try {
+    // Replay earlier turns so the model knows what has been tried already
+    const messages = history.flatMap(turn => [
+      { role: 'user', content: `Change request: ${turn.request}` },
+      { role: 'assistant', content: turn.code }
+    ]);
+    messages.push({
+      role: 'user',
+      content: `Current code:\n${code}\n\nChange request: ${request}`
+    });
 
-    // Clean up any markdown code blocks if present
-    code = code.replace(/^```(?:javascript|js)?\n?/i, '').replace(/\n?```$/i, '').trim();
+    const { code: refined, attempts } = await generateValidCode(
+      [STRUDEL_SYSTEM_PROMPT, librarySoundsPrompt(), REFINE_INSTRUCTIONS].filter(Boolean).join('\n\n'),
+      messages
+    );
 
     res.json({
       success: true,
-      code,
-      prompt
+      code: refined,
+      request,
+      attempts
     });
   } catch (err) {
-    console.error('Gemini error:', err);
-    res.status(500).json({ error: err.message || 'Failed to generate code' });
+    console.error(`${llm.name} error:`, err);
+    res.status(err.status || 500).json({ error: err.message || 'Failed to refine code' });
   }
 });
 
 // AI Patterns storage
 const PATTERNS_FILE = path.join(__dirname, '..', 'data', 'patterns.json');
-const DATA_DIR = path.join(__dirname, '..', 'data');
-
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-  fs.mkdirSync(DATA_DIR, { recursive: true });
-}
 
 // Get saved AI patterns
 app.get('/api/patterns', (req, res) => {
@@ -407,6 +1495,181 @@ app.delete('/api/patterns/:id', (req, res) => {
   }
 });
 
+// Projects storage (full session snapshots: tiles, settings, tempo, active tracks)
+const PROJECTS_FILE = path.join(DATA_DIR, 'projects.json');
+
+const loadProjects = () => {
+  if (!fs.existsSync(PROJECTS_FILE)) return [];
+  return JSON.parse(fs.readFileSync(PROJECTS_FILE, 'utf8'));
+};
+
+const saveProjects = (projects) => {
+  fs.writeFileSync(PROJECTS_FILE, JSON.stringify(projects, null, 2));
+};
+
+// List saved projects (summaries only)
+app.get('/api/projects', (req, res) => {
+  try {
+    const projects = loadProjects().map(p => ({
+      id: p.id,
+      name: p.name,
+      createdAt: p.createdAt,
+      updatedAt: p.updatedAt,
+      trackCount: p.activeTrackIds?.length || 0
+    }));
+    res.json({ projects });
+  } catch (err) {
+    console.error('Error loading projects:', err);
+    res.json({ projects: [] });
+  }
+});
+
+// Get a single project with everything needed to restore it
+app.get('/api/projects/:id', (req, res) => {
+  try {
+    const project = loadProjects().find(p => p.id === req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ project });
+  } catch (err) {
+    console.error('Error loading project:', err);
+    res.status(500).json({ error: 'Failed to load project' });
+  }
+});
+
+// Create or update a project
+app.post('/api/projects', (req, res) => {
+  const { project } = req.body;
+
+  if (!project || !project.name?.trim()) {
+    return res.status(400).json({ error: 'Project name is required' });
+  }
+  if (!Array.isArray(project.sequences)) {
+    return res.status(400).json({ error: 'Project sequences are required' });
+  }
+
+  try {
+    const projects = loadProjects();
+    const now = new Date().toISOString();
+    const existingIndex = project.id ? projects.findIndex(p => p.id === project.id) : -1;
+
+    const saved = {
+      ...project,
+      id: project.id || `project-${Date.now()}`,
+      name: project.name.trim(),
+      createdAt: existingIndex >= 0 ? projects[existingIndex].createdAt : now,
+      updatedAt: now
+    };
+
+    if (existingIndex >= 0) {
+      projects[existingIndex] = saved;
+    } else {
+      projects.push(saved);
+    }
+
+    saveProjects(projects);
+    res.json({ success: true, project: saved });
+  } catch (err) {
+    console.error('Error saving project:', err);
+    res.status(500).json({ error: 'Failed to save project' });
+  }
+});
+
+// Delete a project
+app.delete('/api/projects/:id', (req, res) => {
+  try {
+    const projects = loadProjects();
+    const remaining = projects.filter(p => p.id !== req.params.id);
+    if (remaining.length === projects.length) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    saveProjects(remaining);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting project:', err);
+    res.status(500).json({ error: 'Failed to delete project' });
+  }
+});
+
+// Scenes storage (named sets of tracks with their settings, launched together)
+const SCENES_FILE = path.join(DATA_DIR, 'scenes.json');
+
+const loadScenes = () => {
+  if (!fs.existsSync(SCENES_FILE)) return [];
+  return JSON.parse(fs.readFileSync(SCENES_FILE, 'utf8'));
+};
+
+const saveScenes = (scenes) => {
+  fs.writeFileSync(SCENES_FILE, JSON.stringify(scenes, null, 2));
+};
+
+// Get saved scenes
+app.get('/api/scenes', (req, res) => {
+  try {
+    res.json({ scenes: loadScenes() });
+  } catch (err) {
+    console.error('Error loading scenes:', err);
+    res.json({ scenes: [] });
+  }
+});
+
+// Create or update a scene
+app.post('/api/scenes', (req, res) => {
+  const { scene } = req.body;
+
+  if (!scene || !scene.name?.trim()) {
+    return res.status(400).json({ error: 'Scene name is required' });
+  }
+  if (!Array.isArray(scene.trackIds) || scene.trackIds.length === 0) {
+    return res.status(400).json({ error: 'A scene needs at least one track' });
+  }
+
+  try {
+    const scenes = loadScenes();
+    const existingIndex = scene.id ? scenes.findIndex(s => s.id === scene.id) : -1;
+
+    const saved = {
+      id: scene.id || `scene-${Date.now()}`,
+      name: scene.name.trim(),
+      trackIds: scene.trackIds,
+      trackSettings: scene.trackSettings || {},
+      createdAt: existingIndex >= 0 ? scenes[existingIndex].createdAt : new Date().toISOString()
+    };
+
+    if (existingIndex >= 0) {
+      scenes[existingIndex] = saved;
+    } else {
+      scenes.push(saved);
+    }
+
+    saveScenes(scenes);
+    res.json({ success: true, scene: saved });
+  } catch (err) {
+    console.error('Error saving scene:', err);
+    res.status(500).json({ error: 'Failed to save scene' });
+  }
+});
+
+// Delete a scene
+app.delete('/api/scenes/:id', (req, res) => {
+  try {
+    const scenes = loadScenes();
+    const remaining = scenes.filter(s => s.id !== req.params.id);
+    if (remaining.length === scenes.length) {
+      return res.status(404).json({ error: 'Scene not found' });
+    }
+    saveScenes(remaining);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Error deleting scene:', err);
+    res.status(500).json({ error: 'Failed to delete scene' });
+  }
+});
+
+// Sample sound names must steer clear of every built-in sound, so those are known first
+await loadKnownSoundNames();
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Sample server running on http://localhost:${PORT}`);
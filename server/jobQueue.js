@@ -0,0 +1,124 @@
+// In-memory queue for long-running work (sample downloads) that outlives the
+// request that started it. Clients follow a job by id, by polling or over SSE.
+//
+// A job is { id, status, progress, stage, params, result, error, position }:
+//   status    'queued' | 'running' | 'done' | 'failed' | 'cancelled'
+//   progress  0-100
+//   stage     free text from the runner ('downloading', 'converting'...)
+//   position  place in line while queued (1 = next)
+
+import crypto from 'crypto';
+
+// Finished jobs stay around this long so slow clients can still read the result
+const FINISHED_JOB_TTL_MS = 10 * 60 * 1000;
+
+const FINISHED = ['done', 'failed', 'cancelled'];
+
+/**
+ * run(params, { onProgress, signal }) does the work and resolves to the result.
+ * onProgress({ progress, stage }) reports partial progress; signal aborts on cancel.
+ */
+export function createJobQueue({ concurrency = 2, run }) {
+  const jobs = new Map();        // id -> job
+  const controllers = new Map(); // id -> AbortController while running
+  const listeners = new Map();   // id -> Set of listener(job)
+  const waiting = [];            // ids in submission order
+  let running = 0;
+
+  // What clients see: the job without internals
+  const snapshot = (job) => ({
+    ...job,
+    position: job.status === 'queued' ? waiting.indexOf(job.id) + 1 : undefined
+  });
+
+  const notify = (job) => {
+    listeners.get(job.id)?.forEach(listener => listener(snapshot(job)));
+    // Everyone behind in the queue has moved up
+    waiting.forEach(id => {
+      if (id !== job.id) listeners.get(id)?.forEach(listener => listener(snapshot(jobs.get(id))));
+    });
+  };
+
+  const finish = (job, status, fields = {}) => {
+    Object.assign(job, { status, stage: status, ...fields, finishedAt: Date.now() });
+    controllers.delete(job.id);
+    notify(job);
+    setTimeout(() => {
+      jobs.delete(job.id);
+      listeners.delete(job.id);
+    }, FINISHED_JOB_TTL_MS).unref();
+  };
+
+  const startNext = () => {
+    while (running < concurrency && waiting.length > 0) {
+      const job = jobs.get(waiting.shift());
+      const controller = new AbortController();
+      controllers.set(job.id, controller);
+      job.status = 'running';
+      running++;
+      notify(job);
+
+      const onProgress = ({ progress, stage }) => {
+        if (FINISHED.includes(job.status)) return;
+        if (progress !== undefined) job.progress = Math.min(Math.max(progress, 0), 100);
+        if (stage !== undefined) job.stage = stage;
+        notify(job);
+      };
+
+      run(job.params, { onProgress, signal: controller.signal })
+        .then(result => {
+          if (job.status === 'running') finish(job, 'done', { progress: 100, result });
+        })
+        .catch(err => {
+          if (job.status === 'running') finish(job, 'failed', { error: err.message || 'Job failed' });
+        })
+        .finally(() => {
+          running--;
+          startNext();
+        });
+    }
+  };
+
+  return {
+    submit(params) {
+      const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        progress: 0,
+        stage: 'queued',
+        params,
+        createdAt: Date.now()
+      };
+      jobs.set(job.id, job);
+      waiting.push(job.id);
+      startNext();
+      return snapshot(job);
+    },
+
+    get(id) {
+      const job = jobs.get(id);
+      return job ? snapshot(job) : null;
+    },
+
+    // Returns false if the job doesn't exist or has already finished
+    cancel(id) {
+      const job = jobs.get(id);
+      if (!job || FINISHED.includes(job.status)) return false;
+
+      const index = waiting.indexOf(id);
+      if (index !== -1) waiting.splice(index, 1);
+      controllers.get(id)?.abort();
+      finish(job, 'cancelled');
+      return true;
+    },
+
+    // listener(job) is called on every change; returns an unsubscribe function
+    subscribe(id, listener) {
+      if (!listeners.has(id)) listeners.set(id, new Set());
+      listeners.get(id).add(listener);
+      return () => listeners.get(id)?.delete(listener);
+    },
+
+    isFinished: (job) => FINISHED.includes(job.status)
+  };
+}
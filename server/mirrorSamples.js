@@ -0,0 +1,30 @@
+// Fetch every file of the configured sample banks (SAMPLE_BANKS) into
+// data/banks, so the app can play them without reaching the internet.
+//   npm run mirror-samples
+
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSampleBankMirror, parseSampleBanks, DEFAULT_SAMPLE_BANKS } from './sampleBanks.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const mirror = createSampleBankMirror({
+  banks: parseSampleBanks(process.env.SAMPLE_BANKS ?? DEFAULT_SAMPLE_BANKS),
+  dir: path.join(__dirname, '..', 'data', 'banks')
+});
+
+let failures = 0;
+for (const bank of mirror.banks) {
+  try {
+    const { total, failed } = await mirror.mirror(bank.id, {
+      onProgress: ({ done, total }) => process.stdout.write(`\r${bank.source}: ${done}/${total}`)
+    });
+    process.stdout.write(`\r${bank.source}: ${total - failed}/${total} files mirrored\n`);
+    failures += failed;
+  } catch (err) {
+    console.error(`${bank.source}: ${err.message}`);
+    failures++;
+  }
+}
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,59 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const MODELS_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// Gemini calls the assistant role "model"
+const toContents = (messages) =>
+  messages.map(({ role, content }) => ({
+    role: role === 'assistant' ? 'model' : 'user',
+    parts: [{ text: content }]
+  }));
+
+export function createGeminiProvider({ apiKey, model = 'gemini-2.5-flash-lite' }) {
+  if (!apiKey) {
+    throw new Error('Gemini API key not configured. Set GEMINI_API_KEY environment variable.');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  const getModel = (system, json) => genAI.getGenerativeModel({
+    model,
+    systemInstruction: system,
+    generationConfig: json ? { responseMimeType: 'application/json' } : undefined
+  });
+
+  return {
+    name: 'gemini',
+    model,
+
+    async complete({ system, messages, json }) {
+      const generativeModel = getModel(system, json);
+      const result = await generativeModel.generateContent({ contents: toContents(messages) });
+      const response = await result.response;
+      return response.text();
+    },
+
+    async *stream({ system, messages, signal, json }) {
+      const generativeModel = getModel(system, json);
+      const result = await generativeModel.generateContentStream(
+        { contents: toContents(messages) },
+        { signal }
+      );
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+    },
+
+    // The SDK has no model listing, so use the REST endpoint
+    async listModels() {
+      const res = await fetch(`${MODELS_URL}?key=${apiKey}&pageSize=1000`);
+      if (!res.ok) {
+        throw new Error(`Failed to list Gemini models (HTTP ${res.status})`);
+      }
+      const data = await res.json();
+      return (data.models || [])
+        .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+        .map(m => m.name.replace(/^models\//, ''));
+    }
+  };
+}
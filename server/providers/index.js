@@ -0,0 +1,44 @@
+// LLM backend used for pattern generation, chosen with LLM_PROVIDER:
+//   gemini             GEMINI_API_KEY (default)
+//   openai             OPENAI_API_KEY
+//   openai-compatible  LLM_BASE_URL, e.g. http://localhost:11434/v1 for Ollama
+//   mock               no setup, deterministic output
+// LLM_MODEL overrides the provider's default model.
+//
+// Providers expose:
+//   complete({ system, messages: [{ role: 'user' | 'assistant', content }], json }) -> text
+//   stream({ system, messages, signal, json }) -> async iterable of text chunks
+// json asks for the answer as a JSON object where the backend supports it.
+//   listModels() -> [model id]
+
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAIProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+export const PROVIDERS = ['gemini', 'openai', 'openai-compatible', 'mock'];
+
+export function createProvider(env = process.env) {
+  const name = env.LLM_PROVIDER || 'gemini';
+  const model = env.LLM_MODEL || undefined;
+
+  switch (name) {
+    case 'gemini':
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model });
+    case 'openai':
+      return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, model: model || 'gpt-4o-mini' });
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider.');
+      }
+      return createOpenAIProvider({
+        name,
+        apiKey: env.OPENAI_API_KEY,
+        baseURL: env.LLM_BASE_URL,
+        model
+      });
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${PROVIDERS.join(', ')}`);
+  }
+}
@@ -0,0 +1,93 @@
+// Deterministic stand-in for offline development and tests.
+// The same conversation always produces the same (valid) Strudel code.
+
+const PATTERNS = [
+  `stack(
+  s("bd*4").gain(0.9),
+  s("~ sd ~ sd").gain(0.7),
+  s("hh*8").gain(0.5)
+)`,
+  `note("0 2 4 7".add("<0 3>")).scale("C minor")
+  .s("triangle")
+  .room(0.4)
+  .lpf(1200)`,
+  `stack(
+  s("bd(3,8) sd(5,8,2)").gain(0.8),
+  note("<c2 c2 eb2 f2>").s("sawtooth").lpf(800).gain(0.6)
+)`,
+  `s("hh*8").gain(0.4).pan(sine.range(0.2, 0.8))`,
+];
+
+// Small stable string hash so prompts map to patterns reproducibly
+const hash = (text) => {
+  let h = 0;
+  for (let i = 0; i < text.length; i++) {
+    h = (h * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return h;
+};
+
+// Rough genre guess from the prompt, for structured answers
+const GENRES = [
+  { match: /drum ?(and|&|n) ?bass|dnb|jungle/i, genre: 'drum and bass', bpm: 172 },
+  { match: /dubstep/i, genre: 'dubstep', bpm: 140 },
+  { match: /techno/i, genre: 'techno', bpm: 130 },
+  { match: /house/i, genre: 'house', bpm: 124 },
+  { match: /hip ?hop|boom ?bap|trap/i, genre: 'hip hop', bpm: 90 },
+  { match: /lo-?fi|chill/i, genre: 'lo-fi', bpm: 80 },
+  { match: /ambient|drone/i, genre: 'ambient', bpm: 70 },
+];
+
+// Skip patterns the conversation already shows (earlier variations)
+const pickPattern = (text) => {
+  const start = hash(text);
+  for (let i = 0; i < PATTERNS.length; i++) {
+    const pattern = PATTERNS[(start + i) % PATTERNS.length];
+    if (!text.includes(pattern)) return pattern;
+  }
+  return PATTERNS[start % PATTERNS.length];
+};
+
+export function createMockProvider() {
+  return {
+    name: 'mock',
+    model: 'mock',
+
+    async *stream({ messages, signal, json }) {
+      // Dribble the answer out a few characters at a time, like a real model
+      const text = await this.complete({ messages, json });
+      for (let i = 0; i < text.length; i += 8) {
+        if (signal?.aborted) return;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        yield text.slice(i, i + 8);
+      }
+    },
+
+    async complete({ messages, json }) {
+      const last = messages[messages.length - 1]?.content || '';
+
+      // Refinement: echo the current code back with a tweak
+      const current = last.match(/Current code:\n([\s\S]*?)\n\nChange request:/);
+      if (current) {
+        return `${current[1].trim()}\n  .room(0.5)`;
+      }
+
+      const code = pickPattern(last);
+      if (!json) return code;
+
+      const prompt = messages[0]?.content.split('\n')[0] || '';
+      const { genre, bpm } = GENRES.find(g => g.match.test(prompt)) || { genre: 'electronic', bpm: 120 };
+      return JSON.stringify({
+        title: prompt.split(/\s+/).slice(0, 3).join(' ') || 'Mock Pattern',
+        description: `Mock ${genre} pattern`,
+        bpm,
+        genre,
+        code
+      }, null, 2);
+    },
+
+    async listModels() {
+      return ['mock'];
+    }
+  };
+}
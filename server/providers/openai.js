@@ -0,0 +1,50 @@
+import OpenAI from 'openai';
+
+// OpenAI itself, or any server speaking its chat completions API
+// (llama.cpp server, Ollama, LM Studio, vLLM...) when baseURL is set
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, model }) {
+  if (!baseURL && !apiKey) {
+    throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY environment variable.');
+  }
+  if (!model) {
+    throw new Error('No model configured. Set LLM_MODEL environment variable.');
+  }
+
+  // Local servers usually ignore the key, but the client requires one
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL });
+
+  return {
+    name,
+    model,
+
+    async complete({ system, messages, json }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'system', content: system }, ...messages],
+        ...(json && { response_format: { type: 'json_object' } })
+      });
+      return completion.choices[0]?.message?.content || '';
+    },
+
+    async *stream({ system, messages, signal, json }) {
+      const stream = await client.chat.completions.create({
+        model,
+        messages: [{ role: 'system', content: system }, ...messages],
+        stream: true,
+        ...(json && { response_format: { type: 'json_object' } })
+      }, { signal });
+      for await (const chunk of stream) {
+        const text = chunk.choices[0]?.delta?.content;
+        if (text) yield text;
+      }
+    },
+
+    async listModels() {
+      const models = [];
+      for await (const m of client.models.list()) {
+        models.push(m.id);
+      }
+      return models;
+    }
+  };
+}
@@ -0,0 +1,206 @@
+// Local mirror of the Strudel sample banks the app plays by default, so it
+// doesn't depend on GitHub being reachable once the files have been fetched.
+//
+// Banks are listed in SAMPLE_BANKS (comma-separated). Each is either
+// "github:user/repo[/branch]", like Strudel's own samples('github:...'), or the
+// URL of a strudel.json sample map. A bank's manifest is fetched the first time
+// it's asked for; each file is fetched the first time a client plays it. Both
+// are kept under <dir>/<id>/ and served from there from then on.
+//
+// `node server/mirrorSamples.js` fetches everything up front for offline use.
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_SAMPLE_BANKS = 'github:tidalcycles/dirt-samples';
+
+// Where Strudel's github: shorthand points, e.g.
+// github:tidalcycles/dirt-samples -> raw.githubusercontent.com/tidalcycles/dirt-samples/main/
+const githubBase = (source) => {
+  const [user, repo, branch = 'main', ...rest] = source.slice('github:'.length).split('/').filter(Boolean);
+  return `https://raw.githubusercontent.com/${[user, repo, branch, ...rest].join('/')}/`;
+};
+
+const bankId = (source) =>
+  source
+    .replace(/^github:/, '')
+    .replace(/^https?:\/\//, '')
+    .replace(/\/strudel\.json$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Parse SAMPLE_BANKS into [{ id, source, manifestUrl }]. An empty value means no banks.
+ */
+export function parseSampleBanks(value = DEFAULT_SAMPLE_BANKS) {
+  return value
+    .split(',')
+    .map(source => source.trim())
+    .filter(Boolean)
+    .map(source => ({
+      id: bankId(source),
+      source,
+      manifestUrl: source.startsWith('github:') ? `${githubBase(source)}strudel.json` : source
+    }));
+}
+
+// Every file path a manifest refers to, skipping _base keys
+const manifestFiles = (manifest) => {
+  const files = new Set();
+  const collect = (value) => {
+    if (typeof value === 'string') files.add(value);
+    else if (Array.isArray(value)) value.forEach(collect);
+    else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, inner]) => !key.startsWith('_') && collect(inner));
+    }
+  };
+  collect(manifest);
+  return files;
+};
+
+// The manifest without its _base keys, so its files resolve against the mirror
+const withoutBase = (value) => {
+  if (Array.isArray(value) || !value || typeof value !== 'object') return value;
+  return Object.fromEntries(
+    Object.entries(value).filter(([key]) => key !== '_base').map(([key, inner]) => [key, withoutBase(inner)])
+  );
+};
+
+async function download(url, filePath) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  // Write next to the target and rename, so a failed fetch never leaves half a file
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const partial = `${filePath}.part`;
+  fs.writeFileSync(partial, Buffer.from(await response.arrayBuffer()));
+  fs.renameSync(partial, filePath);
+}
+
+/**
+ * Mirror of `banks` (from parseSampleBanks) stored under `dir`.
+ */
+export function createSampleBankMirror({ banks, dir }) {
+  const manifests = new Map(); // id -> { source, base, fetchedAt, manifest, files }
+  const pending = new Map();   // key -> promise, so concurrent requests share one fetch
+
+  const once = (key, work) => {
+    if (!pending.has(key)) {
+      pending.set(key, work().finally(() => pending.delete(key)));
+    }
+    return pending.get(key);
+  };
+
+  const bankDir = (bank) => path.join(dir, bank.id);
+  const storedManifest = (bank) => path.join(bankDir(bank), 'bank.json');
+  const find = (id) => banks.find(bank => bank.id === id);
+
+  // The upstream manifest and the base URL its files live under
+  const load = (bank) => {
+    if (manifests.has(bank.id)) return Promise.resolve(manifests.get(bank.id));
+    return once(`manifest:${bank.id}`, async () => {
+      let stored;
+      if (fs.existsSync(storedManifest(bank))) {
+        stored = JSON.parse(fs.readFileSync(storedManifest(bank), 'utf8'));
+      } else {
+        const response = await fetch(bank.manifestUrl);
+        if (!response.ok) {
+          throw new Error(`${bank.manifestUrl}: HTTP ${response.status}`);
+        }
+        const manifest = await response.json();
+        let base = manifest._base || bank.manifestUrl.replace(/[^/]*$/, '');
+        if (base.startsWith('github:')) base = githubBase(base);
+        stored = { source: bank.source, base, fetchedAt: new Date().toISOString(), manifest };
+        fs.mkdirSync(bankDir(bank), { recursive: true });
+        fs.writeFileSync(storedManifest(bank), JSON.stringify(stored));
+      }
+      const loaded = { ...stored, files: manifestFiles(stored.manifest) };
+      manifests.set(bank.id, loaded);
+      return loaded;
+    });
+  };
+
+  // Local path of a file in the bank, or null if the manifest doesn't list it
+  const localPath = (bank, files, file) => {
+    if (!files.has(file)) return null;
+    const filesDir = path.join(bankDir(bank), 'files');
+    const resolved = path.join(filesDir, file);
+    return resolved.startsWith(filesDir + path.sep) ? resolved : null;
+  };
+
+  const fetchFile = (bank, base, file, filePath) =>
+    once(`file:${bank.id}:${file}`, () =>
+      download(new URL(file.split('/').map(encodeURIComponent).join('/'), base).href, filePath)
+    );
+
+  return {
+    banks,
+
+    /**
+     * Bank ids and sources, with whether the manifest is already on disk.
+     */
+    list() {
+      return banks.map(bank => ({
+        id: bank.id,
+        source: bank.source,
+        mirrored: fs.existsSync(storedManifest(bank))
+      }));
+    },
+
+    /**
+     * The bank's strudel.json with its _base set to `base`, the absolute URL
+     * the bank's files are served under, or null for an unknown id.
+     * Throws if upstream can't be reached.
+     */
+    async manifest(id, base) {
+      const bank = find(id);
+      if (!bank) return null;
+      const { manifest } = await load(bank);
+      return { ...withoutBase(manifest), _base: base };
+    },
+
+    /**
+     * Path on disk of a file in a bank, fetched first if needed, or null if
+     * the bank or file is unknown. Throws if upstream can't be reached.
+     */
+    async file(id, file) {
+      const bank = find(id);
+      if (!bank) return null;
+      const { base, files } = await load(bank);
+      const filePath = localPath(bank, files, file);
+      if (!filePath) return null;
+      if (!fs.existsSync(filePath)) {
+        await fetchFile(bank, base, file, filePath);
+      }
+      return filePath;
+    },
+
+    /**
+     * Fetch every file of a bank that isn't mirrored yet, one at a time.
+     * onProgress({ done, total, failed }) after each file.
+     */
+    async mirror(id, { onProgress } = {}) {
+      const bank = find(id);
+      if (!bank) throw new Error(`Unknown sample bank: ${id}`);
+      const { base, files } = await load(bank);
+      let done = 0;
+      let failed = 0;
+      for (const file of files) {
+        const filePath = localPath(bank, files, file);
+        if (filePath && !fs.existsSync(filePath)) {
+          try {
+            await fetchFile(bank, base, file, filePath);
+          } catch (err) {
+            failed++;
+            console.warn(`Could not mirror ${file}:`, err.message);
+          }
+        }
+        done++;
+        onProgress?.({ done, total: files.size, failed });
+      }
+      return { total: files.size, failed };
+    }
+  };
+}
@@ -0,0 +1,8 @@
+// Runs detectTransients off the main thread, so a long file doesn't hold up
+// every other request. workerData: { samples, sampleRate, sensitivity }
+
+import { parentPort, workerData } from 'worker_threads';
+import { detectTransients } from './analysis.js';
+
+const { samples, sampleRate, sensitivity } = workerData;
+parentPort.postMessage(detectTransients(samples, sampleRate, sensitivity));
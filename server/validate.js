@@ -0,0 +1,232 @@
+// Static checks for AI-generated Strudel code, run before it becomes a tile.
+//
+// The code is never executed here. It is transpiled (which catches JS and
+// mini-notation syntax errors) and its AST is checked against the functions
+// the Strudel packages register and the sounds the client loads.
+
+import { parse } from 'acorn';
+import { DIRT_SAMPLE_NAMES } from './dirtSampleNames.js';
+import { DEFAULT_SAMPLE_BANKS } from './sampleBanks.js';
+
+// Provided by the REPL at runtime rather than exported by a package
+const REPL_FUNCTIONS = ['setcps', 'setCps', 'setcpm', 'setCpm', 'hush', 'samples'];
+
+const SAMPLE_LIST_RETRY_MS = 5 * 60 * 1000;
+
+let strudelPromise = null;
+let sampleBanks = null; // the server's bank mirror (sampleBanks.js)
+let sampleNamesPromise = null;
+let sampleNamesRetryAt = Infinity;
+
+/**
+ * Check sounds against the banks `mirror` serves, the ones the client loads.
+ * Until this is called the default dirt-samples names are used.
+ */
+export function setSampleBanks(mirror) {
+  sampleBanks = mirror;
+  sampleNamesPromise = null;
+}
+
+// Load the Strudel packages once and collect every name code may call
+const loadStrudel = () => {
+  if (!strudelPromise) {
+    strudelPromise = (async () => {
+      const [core, mini, tonal, webaudio, { transpiler }] = await Promise.all([
+        import('@strudel/core'),
+        import('@strudel/mini'),
+        import('@strudel/tonal'),
+        import('@strudel/webaudio'),
+        import('@strudel/transpiler')
+      ]);
+
+      const functions = new Set(REPL_FUNCTIONS);
+      [core, mini, tonal, webaudio].forEach(module => {
+        Object.keys(module).forEach(name => functions.add(name));
+      });
+      // Methods are registered on Pattern.prototype as the packages load
+      Object.getOwnPropertyNames(core.Pattern.prototype).forEach(name => functions.add(name));
+
+      // Same synths the client registers with registerSynthSounds()
+      webaudio.registerSynthSounds();
+      const synths = new Set(Object.keys(webaudio.soundMap.get()));
+
+      return { transpiler, functions, synths };
+    })();
+  }
+  return strudelPromise;
+};
+
+// Sound names in the sample banks the client loads
+// A dirt-samples bank that can't be read counts as the bundled list of its
+// names; any other one makes this resolve to null, so sounds go unchecked.
+// Banks that couldn't be read are tried again after a while.
+const loadSampleNames = () => {
+  if (sampleNamesPromise && Date.now() >= sampleNamesRetryAt) {
+    sampleNamesPromise = null;
+  }
+  if (!sampleNamesPromise) {
+    sampleNamesRetryAt = Infinity;
+    sampleNamesPromise = (async () => {
+      if (!sampleBanks) return new Set(DIRT_SAMPLE_NAMES);
+
+      const names = new Set();
+      let complete = true;
+      for (const bank of sampleBanks.banks) {
+        try {
+          const manifest = await sampleBanks.manifest(bank.id, '');
+          Object.keys(manifest).filter(name => !name.startsWith('_')).forEach(name => names.add(name));
+        } catch (err) {
+          sampleNamesRetryAt = Date.now() + SAMPLE_LIST_RETRY_MS;
+          if (bank.source === DEFAULT_SAMPLE_BANKS) {
+            console.warn(`Could not load ${bank.source}, checking sounds against the bundled list:`, err.message);
+            DIRT_SAMPLE_NAMES.forEach(name => names.add(name));
+          } else {
+            console.warn(`Could not load ${bank.source}, skipping sound checks:`, err.message);
+            complete = false;
+          }
+        }
+      }
+      return complete ? names : null;
+    })();
+  }
+  return sampleNamesPromise;
+};
+
+// Built-in sound names (synths and dirt-samples), so user samples can be named
+// without shadowing them. Complete once loadKnownSoundNames() has resolved.
+const builtInSounds = new Set(DIRT_SAMPLE_NAMES);
+let synthNamesLoaded = null;
+
+/**
+ * Load the synth names; call before naming any sample.
+ */
+export function loadKnownSoundNames() {
+  if (!synthNamesLoaded) {
+    synthNamesLoaded = loadStrudel()
+      .then(({ synths }) => synths.forEach(name => builtInSounds.add(name)))
+      .catch(err => console.warn('Could not load Strudel synth names:', err.message));
+  }
+  knownSoundNames();
+  return synthNamesLoaded;
+}
+
+export function knownSoundNames() {
+  // Names from the configured banks are added as they load
+  loadSampleNames().then(names => names?.forEach(name => builtInSounds.add(name)));
+  return builtInSounds;
+}
+
+// Visit every node of an acorn AST
+const walk = (node, visit) => {
+  if (!node || typeof node.type !== 'string') return;
+  visit(node);
+  Object.values(node).forEach(value => {
+    if (Array.isArray(value)) {
+      value.forEach(child => walk(child, visit));
+    } else if (value && typeof value === 'object') {
+      walk(value, visit);
+    }
+  });
+};
+
+// Names introduced by the code itself (let drums = ..., x => x.fast(2))
+const collectDeclaredNames = (ast) => {
+  const names = new Set();
+  const addPattern = (pattern) => {
+    if (pattern?.type === 'Identifier') names.add(pattern.name);
+  };
+  walk(ast, node => {
+    if (node.type === 'VariableDeclarator') addPattern(node.id);
+    if (node.type === 'FunctionDeclaration') addPattern(node.id);
+    if (node.params) node.params.forEach(addPattern);
+  });
+  return names;
+};
+
+const stringValue = (node) => {
+  if (node?.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+};
+
+// Sound names in a mini-notation string: "bd*4 [sd cp:2] <hh oh>" -> bd, sd, cp, hh, oh
+const soundsInMini = (mini) =>
+  mini
+    .split(/[\s[\]<>{}(),*/!?@|.]+/)
+    .map(token => token.split(':')[0])
+    .filter(token => token && !['~', '-', '_'].includes(token));
+
+/**
+ * Check generated Strudel code without running it.
+ * Resolves to { valid: true } or { valid: false, error } with a message
+ * that can be fed back to the model. `sounds` are extra sound names the client
+ * registers, like the user's own samples.
+ */
+export async function validateStrudelCode(code, { sounds = [] } = {}) {
+  const { transpiler, functions, synths } = await loadStrudel();
+
+  // Catches JS syntax errors and malformed mini-notation
+  try {
+    transpiler(code, {});
+  } catch (err) {
+    return { valid: false, error: `Code does not parse: ${err.message}` };
+  }
+
+  const ast = parse(code, { ecmaVersion: 'latest', sourceType: 'module', allowAwaitOutsideFunction: true });
+  const declared = collectDeclaredNames(ast);
+  const isKnown = (name) => functions.has(name) || declared.has(name);
+
+  const unknownFunctions = new Set();
+  const soundArgs = [];
+  let usesBank = false;
+
+  walk(ast, node => {
+    if (node.type !== 'CallExpression') return;
+    const { callee } = node;
+    let name = null;
+
+    if (callee.type === 'Identifier') {
+      name = callee.name;
+      // Plain JS globals like parseInt are fine
+      if (!isKnown(name) && !(name in globalThis)) unknownFunctions.add(name);
+    } else if (callee.type === 'MemberExpression' && !callee.computed && callee.property.type === 'Identifier') {
+      name = callee.property.name;
+      // Methods on JS globals (Math.random) aren't Strudel's business
+      const onJsGlobal = callee.object.type === 'Identifier' &&
+        !isKnown(callee.object.name) && callee.object.name in globalThis;
+      if (!onJsGlobal && !isKnown(name)) unknownFunctions.add(name);
+    }
+
+    if (name === 's' || name === 'sound') {
+      const mini = stringValue(node.arguments[0]);
+      if (mini) soundArgs.push(mini);
+    }
+    if (name === 'bank') usesBank = true;
+  });
+
+  if (unknownFunctions.size > 0) {
+    return {
+      valid: false,
+      error: `Unknown Strudel function(s): ${Array.from(unknownFunctions).join(', ')}`
+    };
+  }
+
+  // Banked sounds (<bank>_<sound>) aren't in the sample bank lists, so those go unchecked
+  const sampleNames = await loadSampleNames();
+  if (sampleNames && !usesBank) {
+    const unknownSounds = new Set();
+    soundArgs.flatMap(soundsInMini).forEach(sound => {
+      if (!synths.has(sound) && !sampleNames.has(sound) && !sounds.includes(sound) && !/^\d+$/.test(sound)) {
+        unknownSounds.add(sound);
+      }
+    });
+    if (unknownSounds.size > 0) {
+      return {
+        valid: false,
+        error: `Unknown sound(s): ${Array.from(unknownSounds).join(', ')}. Use only the sample bank's names, the user's samples or the built-in synths (${Array.from(synths).join(', ')}).`
+      };
+    }
+  }
+
+  return { valid: true };
+}
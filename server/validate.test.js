@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateStrudelCode, setSampleBanks } from './validate.js';
+import { DEFAULT_SAMPLE_BANKS } from './sampleBanks.js';
+
+// A bank mirror (sampleBanks.js) whose manifests come from `manifests`;
+// a bank without one can't be reached
+const fakeMirror = (sources, manifests) => ({
+  banks: sources.map(source => ({ id: source, source })),
+  async manifest(id) {
+    if (!manifests[id]) throw new Error('fetch failed');
+    return manifests[id];
+  }
+});
+
+test('sounds are checked against the configured banks', async () => {
+  setSampleBanks(fakeMirror(['http://example.com/strudel.json'], {
+    'http://example.com/strudel.json': { _base: 'http://example.com/', kick: ['kick.wav'] }
+  }));
+  assert.equal((await validateStrudelCode('s("kick*4")')).valid, true);
+  assert.equal((await validateStrudelCode('s("bd*4")')).valid, false);
+});
+
+test('an unreachable dirt-samples bank falls back to the bundled names', async () => {
+  setSampleBanks(fakeMirror([DEFAULT_SAMPLE_BANKS], {}));
+  assert.equal((await validateStrudelCode('s("bd*4 hh")')).valid, true);
+  const result = await validateStrudelCode('s("nope*4")');
+  assert.equal(result.valid, false);
+  assert.match(result.error, /Unknown sound\(s\): nope/);
+});
+
+test("the user's own samples and synths are always allowed", async () => {
+  setSampleBanks(fakeMirror([DEFAULT_SAMPLE_BANKS], {}));
+  assert.equal((await validateStrudelCode('s("my_loop sawtooth")', { sounds: ['my_loop'] })).valid, true);
+});
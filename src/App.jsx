@@ -1,37 +1,114 @@
-import { useState, useCallback, useEffect } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
 import { sequences as initialSequences } from './sequences';
 import { SequenceCard } from './components/SequenceCard';
 import { Controls } from './components/Controls';
 import { Visualizer } from './components/Visualizer';
 import { AddMenu } from './components/AddMenu';
 import { SequenceModal } from './components/SequenceModal';
-import { useStrudel } from './useStrudel';
+import { ProjectBar } from './components/ProjectBar';
+import { Mixer } from './components/Mixer';
+import { SceneBar } from './components/SceneBar';
+import { ApiKeyField } from './components/ApiKeyField';
+import { useStrudel, reloadSampleManifest } from './useStrudel';
+import { encodeWav } from './wav';
+import { DEFAULT_MASTER_BPM, DEFAULT_TEMPO_MODE, bpmToCps, tempoFactor } from './tempo';
+import { API_URL, apiFetch } from './api';
+import { isAudioFile, uploadSampleFiles } from './uploads';
 import './App.css';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 const BASE_URL = API_URL.replace('/api', ''); // Base URL without /api suffix
 
+// Default per-track settings
+const defaultTrackSettings = () => ({
+  volume: 80,
+  reverb: 20,
+  pan: 0.5, // 0 = left, 1 = right
+  tempoMode: DEFAULT_TEMPO_MODE, // How the tile follows the master BPM (see tempo.js)
+  // Sample-specific settings
+  playbackRate: 1.0,
+  loop: false,
+  startTime: 0,
+  endTime: null,
+  // Tempo sync for samples: the region loops over `bars` cycles of the master
+  // tempo, worked out from originalBpm (or the detected bpm) when not set
+  syncTempo: false,
+  originalBpm: null,
+  bars: null,
+  preservePitch: false
+});
+
 // Initialize per-track settings
 const initialTrackSettings = {};
 initialSequences.forEach(seq => {
-  initialTrackSettings[seq.id] = {
-    volume: 80,
-    reverb: 20,
-    // Sample-specific settings
-    playbackRate: 1.0,
-    loop: false,
-    startTime: 0,
-    endTime: null
-  };
+  initialTrackSettings[seq.id] = defaultTrackSettings();
+});
+
+// Build the code for a sequence with the given track settings and master BPM
+// Every track sets the same global CPS; tiles that don't simply follow the
+// master are sped up or slowed down relative to it with .fast()
+function buildTrackCode(seq, settings, masterBpm) {
+  const cps = bpmToCps(masterBpm);
+  const factor = tempoFactor(seq.bpm, settings.tempoMode, masterBpm);
+  const fast = factor !== 1 ? `.fast(${Number(factor.toFixed(4))})` : '';
+  const vol = settings.volume;
+  const rev = settings.reverb;
+  // Only override the pattern's own panning once the track has been panned in the mixer
+  const pan = settings.pan != null && settings.pan !== 0.5 ? `.pan(${settings.pan.toFixed(2)})` : '';
+
+  // For samples, extract the base code without gain/room and apply fresh settings
+  if (seq.isSample) {
+    // Remove any existing .gain() and .room() from the code (but keep other methods like .cut())
+    const baseCode = seq.code.replace(/\.gain\([^)]*\)/g, '').replace(/\.room\([^)]*\)/g, '').trim();
+    return `setcps(${cps.toFixed(4)})
+${baseCode}${fast}.gain(${(vol / 100).toFixed(2)}).room(${(rev / 100).toFixed(2)})${pan}`;
+  }
+
+  return `setcps(${cps.toFixed(4)})
+${seq.code.trim()}${fast ? `\n${fast}` : ''}
+.gain(${(vol / 100).toFixed(2)})
+.room(${(rev / 100).toFixed(2)})${pan}`;
+}
+
+// Options for playing a sample tile through playDirectAudio
+// `tempo` is { masterBpm, detectedBpm }, needed when the tile syncs to the master
+const directAudioOptions = (settings = {}, { masterBpm = DEFAULT_MASTER_BPM, detectedBpm = null } = {}) => ({
+  volume: (settings.volume ?? 80) / 100,
+  pan: settings.pan ?? 0.5,
+  playbackRate: settings.playbackRate ?? 1.0,
+  loop: settings.loop ?? false,
+  startTime: settings.startTime ?? 0,
+  endTime: settings.endTime ?? null,
+  sync: settings.syncTempo
+    ? {
+        cps: bpmToCps(masterBpm),
+        bars: settings.bars ?? null,
+        originalBpm: settings.originalBpm ?? detectedBpm,
+        preservePitch: settings.preservePitch ?? false
+      }
+    : null
 });
 
+// How often to re-check while the server is still analysing a sample tile's bpm
+const ANALYSIS_POLL_MS = 2000;
+
+// How long the master tempo has to stay put before native-tempo tracks are re-evaluated
+const TEMPO_SETTLE_MS = 200;
+
 function App() {
-  const [tempo, setTempo] = useState(100);
+  const [masterBpm, setMasterBpm] = useState(DEFAULT_MASTER_BPM);
   const [sequences, setSequences] = useState(initialSequences);
   const [trackSettings, setTrackSettings] = useState(initialTrackSettings);
   const [multiTrackMode, setMultiTrackMode] = useState(true);
+  const [quantize, setQuantize] = useState(1); // Launch/stop on the next N-cycle boundary (0 = immediately)
   const [modalSequence, setModalSequence] = useState(null);
   const [codeUpdateCounter, setCodeUpdateCounter] = useState(0);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+  const [currentProject, setCurrentProject] = useState(null); // { id, name } once saved or loaded
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
+  const [uploadStatus, setUploadStatus] = useState(null); // { message } while uploading, { error } after a failure
+  const [sampleBpms, setSampleBpms] = useState({}); // sample tile sound -> bpm the server detected
+  const tempoTimerRef = useRef(null); // pending re-evaluation after a master tempo change
 
   const {
     isPlaying,
@@ -39,7 +116,13 @@ function App() {
     isReady,
     error,
     activeTrackIds,
+    queuedTracks,
+    sampleLoading,
+    sampleBankError,
+    mutedTrackIds,
+    soloedTrackIds,
     play,
+    updateTracks,
     stop,
     stopTrack,
     hush,
@@ -48,75 +131,138 @@ function App() {
     isTrackPlaying,
     playDirectAudio,
     stopDirectAudio,
-    updateDirectAudioVolume
+    retimeDirectAudio,
+    updateDirectAudioVolume,
+    updateDirectAudioPan,
+    setTrackMuted,
+    setTrackSoloed,
+    exportMix,
+    getMasterAnalyser,
+    getTrackAnalyser
   } = useStrudel();
 
+  // Keep every sample playable by its sound name in any pattern: the server's
+  // manifest changes whenever a sample tile comes or goes
+  const sampleSounds = sequences.filter(seq => seq.isSample).map(seq => seq.sound).join(' ');
+  useEffect(() => {
+    reloadSampleManifest();
+  }, [sampleSounds]);
+
+  // The detected bpm of each sample tile, the default original tempo for
+  // syncing it to the master. Re-checks until the server has analysed them all.
+  useEffect(() => {
+    if (!sampleSounds) return;
+    const sounds = new Set(sampleSounds.split(' '));
+    let cancelled = false;
+    let timer;
+    const refresh = async () => {
+      try {
+        const res = await apiFetch('/samples');
+        const data = await res.json();
+        if (cancelled) return;
+        const tiles = (data.samples || []).filter(sample => sounds.has(sample.sound));
+        setSampleBpms(Object.fromEntries(tiles.map(sample => [sample.sound, sample.bpm ?? null])));
+        if (tiles.some(sample => sample.analysis === 'pending')) {
+          timer = setTimeout(refresh, ANALYSIS_POLL_MS);
+        }
+      } catch (err) {
+        console.error('Failed to load sample tempos:', err);
+      }
+    };
+    refresh();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [sampleSounds]);
+
+  // Tempo context for directAudioOptions
+  const sampleTempo = (seq, bpm = masterBpm) => ({ masterBpm: bpm, detectedBpm: sampleBpms[seq.sound] ?? null });
+
   // Build the code with current settings for a given sequence
   const buildCode = useCallback((index, customSettings = null) => {
     const seq = sequences[index];
-    const baseCps = seq.bpm / 240;
-    const adjustedCps = baseCps * (tempo / 100);
-
     // Use custom settings if provided, otherwise use track settings
     const settings = customSettings || trackSettings[seq.id];
-    const vol = settings.volume;
-    const rev = settings.reverb;
-
-    // For samples, extract the base code without gain/room and apply fresh settings
-    if (seq.isSample) {
-      // Remove any existing .gain() and .room() from the code (but keep other methods like .cut())
-      const baseCode = seq.code.replace(/\.gain\([^)]*\)/g, '').replace(/\.room\([^)]*\)/g, '').trim();
-      console.log('Building sample code:', baseCode);
-      return `setcps(${adjustedCps.toFixed(4)})
-${baseCode}.gain(${(vol / 100).toFixed(2)}).room(${(rev / 100).toFixed(2)})`;
-    }
-
-    return `setcps(${adjustedCps.toFixed(4)})
-${seq.code.trim()}
-.gain(${(vol / 100).toFixed(2)})
-.room(${(rev / 100).toFixed(2)})`;
-  }, [sequences, tempo, trackSettings]);
+    return buildTrackCode(seq, settings, masterBpm);
+  }, [sequences, masterBpm, trackSettings]);
 
   // Play a sequence by index
-  const playSequence = useCallback(async (index, exclusive = true) => {
+  // launchQuantize: queue the launch to a cycle boundary (null = start right away)
+  const playSequence = useCallback(async (index, exclusive = true, launchQuantize = null) => {
     const seq = sequences[index];
     const code = buildCode(index);
     const trackId = seq.id;
-    // For samples, pass the URL to pre-load before evaluating
-    const sampleUrl = seq.isSample ? `${BASE_URL}${seq.samplePath}` : null;
-    await play(code, trackId, exclusive, sampleUrl);
+    await play(code, trackId, exclusive, launchQuantize);
   }, [sequences, buildCode, play]);
 
   // Handle sequence card click
   const handleSequenceClick = async (index) => {
     const seq = sequences[index];
     const trackId = seq.id;
-    const trackPlaying = isTrackPlaying(trackId);
+    // A track queued to stop counts as stopped, so clicking it again keeps it going
+    const trackPlaying = isTrackPlaying(trackId) && queuedTracks[trackId] !== 'stop';
 
     if (trackPlaying) {
-      // If this track is playing, stop it
+      // If this track is playing, stop it (on the next boundary)
       if (seq.isSample) {
-        stopDirectAudio(trackId);
+        stopDirectAudio(trackId, quantize);
       } else {
-        await stopTrack(trackId);
+        await stopTrack(trackId, quantize);
       }
     } else {
       // Play the track
       if (seq.isSample) {
         // For samples, play directly using Web Audio API (no Strudel patterns)
         const sampleUrl = `${BASE_URL}${seq.samplePath}`;
-        const settings = trackSettings[seq.id] || {};
-        await playDirectAudio(sampleUrl, trackId, {
-          volume: (settings.volume ?? 80) / 100,
-          playbackRate: settings.playbackRate ?? 1.0,
-          loop: settings.loop ?? false,
-          startTime: settings.startTime ?? 0,
-          endTime: settings.endTime ?? null
-        });
+        await playDirectAudio(sampleUrl, trackId, { ...directAudioOptions(trackSettings[seq.id], sampleTempo(seq)), quantize });
       } else {
         // For regular patterns, use Strudel
         // In multi-track mode, add to existing; in single mode, replace
-        await playSequence(index, !multiTrackMode);
+        await playSequence(index, !multiTrackMode, quantize);
+      }
+    }
+  };
+
+  // Switch the whole mix to a scene, on the next launch boundary
+  const handleLaunchScene = async (scene) => {
+    const sceneIds = new Set(scene.trackIds.filter(id => sequences.some(s => s.id === id)));
+    const newSettings = { ...trackSettings };
+    sceneIds.forEach(id => {
+      newSettings[id] = { ...defaultTrackSettings(), ...newSettings[id], ...scene.trackSettings?.[id] };
+    });
+    setTrackSettings(newSettings);
+
+    // From silence, start everything together right away rather than queueing
+    // all but the first track behind it
+    const launchQuantize = activeTrackIds.size > 0 ? quantize : 0;
+
+    // Stop tracks that aren't part of the scene
+    for (const trackId of activeTrackIds) {
+      if (sceneIds.has(trackId) || queuedTracks[trackId] === 'stop') continue;
+      const seq = sequences.find(s => s.id === trackId);
+      if (seq?.isSample) {
+        stopDirectAudio(trackId, quantize);
+      } else {
+        await stopTrack(trackId, quantize);
+      }
+    }
+
+    // Launch the scene's tracks; ones already playing pick up the scene's settings
+    for (const trackId of sceneIds) {
+      const seq = sequences.find(s => s.id === trackId);
+      const settings = newSettings[trackId];
+      const running = activeTrackIds.has(trackId) && queuedTracks[trackId] !== 'stop';
+
+      if (seq.isSample) {
+        if (running) {
+          updateDirectAudioVolume(trackId, settings.volume / 100);
+          updateDirectAudioPan(trackId, settings.pan);
+        } else {
+          await playDirectAudio(`${BASE_URL}${seq.samplePath}`, trackId, { ...directAudioOptions(settings, sampleTempo(seq)), quantize: launchQuantize });
+        }
+      } else {
+        await play(buildTrackCode(seq, settings, masterBpm), trackId, false, running ? null : launchQuantize);
       }
     }
   };
@@ -135,17 +281,81 @@ ${seq.code.trim()}
     await hush();
   };
 
-  // Update tempo - affects all tracks via global CPS
-  const handleTempoChange = async (newTempo) => {
-    setTempo(newTempo);
-    // CPS affects all tracks globally, pick first active track's BPM as reference
-    if (isPlaying && activeTrackIds.size > 0) {
-      const firstActiveId = Array.from(activeTrackIds)[0];
-      const seq = sequences.find(s => s.id === firstActiveId);
-      if (seq) {
-        const baseCps = seq.bpm / 240;
-        const adjustedCps = baseCps * (newTempo / 100);
-        setCps(adjustedCps);
+  // Render the active tracks offline and download the result
+  const handleExport = async (cycles, format) => {
+    setIsExporting(true);
+    setExportError(null);
+
+    try {
+      const { buffer } = await exportMix(cycles);
+      let blob = encodeWav(buffer);
+
+      if (format === 'mp3') {
+        const res = await apiFetch('/encode', {
+          method: 'POST',
+          headers: { 'Content-Type': 'audio/wav' },
+          body: blob
+        });
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          throw new Error(data.error || 'Failed to encode MP3');
+        }
+        blob = await res.blob();
+      }
+
+      // Trigger a download of the rendered file
+      const name = activeSequences.map(s => s.name).join(' + ').replace(/[^a-zA-Z0-9 +_-]/g, '').substring(0, 60);
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `${name || 'strudel-bop'}.${format}`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (err) {
+      console.error('Export failed:', err);
+      setExportError(err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  // Update the master BPM - drives the global CPS for all tracks
+  // The slider calls this on every step of a drag, so the stack isn't re-evaluated each time
+  const handleMasterBpmChange = async (newBpm) => {
+    setMasterBpm(newBpm);
+    if (!isPlaying) return;
+
+    setCps(bpmToCps(newBpm));
+
+    // Native-tempo tracks are scaled against the master, so their factor changes with
+    // it, and tempo-synced samples are sped up or stretched to match
+    const nativeCodes = {};
+    for (const trackId of activeTrackIds) {
+      const seq = sequences.find(s => s.id === trackId);
+      if (seq?.isSample && trackSettings[trackId]?.syncTempo) {
+        await retimeDirectAudio(trackId, bpmToCps(newBpm));
+      } else if (seq && !seq.isSample && trackSettings[trackId]?.tempoMode === 'native') {
+        nativeCodes[trackId] = buildTrackCode(seq, trackSettings[trackId], newBpm);
+      }
+    }
+
+    // All of them in one evaluation, once the tempo stops moving
+    clearTimeout(tempoTimerRef.current);
+    if (Object.keys(nativeCodes).length > 0) {
+      tempoTimerRef.current = setTimeout(() => updateTracks(nativeCodes), TEMPO_SETTLE_MS);
+    }
+  };
+
+  // Change how a track follows the master BPM
+  const handleTempoModeChange = async (trackId, tempoMode) => {
+    setTrackSettings(prev => ({
+      ...prev,
+      [trackId]: { ...prev[trackId], tempoMode }
+    }));
+
+    if (isTrackPlaying(trackId)) {
+      const index = sequences.findIndex(s => s.id === trackId);
+      if (index !== -1 && !sequences[index].isSample) {
+        await play(buildCode(index, { ...trackSettings[trackId], tempoMode }), trackId, false);
       }
     }
   };
@@ -169,9 +379,8 @@ ${seq.code.trim()}
           updateDirectAudioVolume(trackId, newVolume / 100);
         } else {
           // For Strudel patterns, re-evaluate
-          const code = buildCode(index, { volume: newVolume, reverb: trackSettings[trackId].reverb });
-          const sampleUrl = seq.isSample ? `${BASE_URL}${seq.samplePath}` : null;
-          await play(code, trackId, false, sampleUrl);
+          const code = buildCode(index, { ...trackSettings[trackId], volume: newVolume });
+          await play(code, trackId, false);
         }
       }
     }
@@ -186,23 +395,47 @@ ${seq.code.trim()}
     }));
 
     // If this track is playing, re-evaluate it
+    if (isTrackPlaying(trackId)) {
+      const index = sequences.findIndex(s => s.id === trackId);
+      if (index !== -1) {
+        const code = buildCode(index, { ...trackSettings[trackId], reverb: newReverb });
+        await play(code, trackId, false);
+      }
+    }
+  };
+
+  // Update pan for a specific track
+  const handleTrackPanChange = async (trackId, newPan) => {
+    setTrackSettings(prev => ({
+      ...prev,
+      [trackId]: { ...prev[trackId], pan: newPan }
+    }));
+
     if (isTrackPlaying(trackId)) {
       const index = sequences.findIndex(s => s.id === trackId);
       if (index !== -1) {
         const seq = sequences[index];
-        const code = buildCode(index, { volume: trackSettings[trackId].volume, reverb: newReverb });
-        const sampleUrl = seq.isSample ? `${BASE_URL}${seq.samplePath}` : null;
-        await play(code, trackId, false, sampleUrl);
+
+        if (seq.isSample) {
+          updateDirectAudioPan(trackId, newPan);
+        } else {
+          const code = buildCode(index, { ...trackSettings[trackId], pan: newPan });
+          await play(code, trackId, false);
+        }
       }
     }
   };
 
   // Update sample-specific settings
-  const handleSampleSettingChange = async (trackId, setting, value) => {
+  const handleSampleSettingChange = (trackId, setting, value) =>
+    handleSampleSettingsChange(trackId, { [setting]: value });
+
+  // Several sample settings at once, e.g. a new start and end from the waveform editor
+  const handleSampleSettingsChange = async (trackId, changes) => {
     // Update state
     setTrackSettings(prev => ({
       ...prev,
-      [trackId]: { ...prev[trackId], [setting]: value }
+      [trackId]: { ...prev[trackId], ...changes }
     }));
 
     // If playing, restart with new settings
@@ -212,14 +445,8 @@ ${seq.code.trim()}
         const seq = sequences[index];
         if (seq.isSample) {
           const sampleUrl = `${BASE_URL}${seq.samplePath}`;
-          const newSettings = { ...trackSettings[trackId], [setting]: value };
-          await playDirectAudio(sampleUrl, trackId, {
-            volume: (newSettings.volume ?? 80) / 100,
-            playbackRate: newSettings.playbackRate ?? 1.0,
-            loop: newSettings.loop ?? false,
-            startTime: newSettings.startTime ?? 0,
-            endTime: newSettings.endTime ?? null
-          });
+          const newSettings = { ...trackSettings[trackId], ...changes };
+          await playDirectAudio(sampleUrl, trackId, directAudioOptions(newSettings, sampleTempo(seq)));
         }
       }
     }
@@ -238,10 +465,11 @@ ${seq.code.trim()}
   };
 
   // Handle code change from modal
-  const handleModalCodeChange = async (sequenceId, newCode) => {
+  // extra: other fields to store on the sequence (e.g. AI revision history)
+  const handleModalCodeChange = async (sequenceId, newCode, extra = {}) => {
     // Update the sequence code in state
     setSequences(prev => prev.map(s =>
-      s.id === sequenceId ? { ...s, code: newCode } : s
+      s.id === sequenceId ? { ...s, ...extra, code: newCode } : s
     ));
     // Increment counter to force preview re-render
     setCodeUpdateCounter(prev => prev + 1);
@@ -250,72 +478,142 @@ ${seq.code.trim()}
     if (isTrackPlaying(sequenceId)) {
       const index = sequences.findIndex(s => s.id === sequenceId);
       if (index !== -1) {
-        const seq = sequences[index];
-        // Use buildCode to apply volume/reverb settings consistently
-        const updatedSequences = sequences.map(s =>
-          s.id === sequenceId ? { ...s, code: newCode } : s
-        );
-        const updatedIndex = updatedSequences.findIndex(s => s.id === sequenceId);
-
-        // Temporarily update sequences for buildCode
-        const tempBuildCode = (idx) => {
-          const sequence = updatedSequences[idx];
-          const baseCps = sequence.bpm / 240;
-          const adjustedCps = baseCps * (tempo / 100);
-          const settings = trackSettings[sequence.id];
-          const vol = settings.volume;
-          const rev = settings.reverb;
-
-          if (sequence.isSample) {
-            const baseCode = sequence.code.replace(/\.gain\([^)]*\)/g, '').replace(/\.room\([^)]*\)/g, '').trim();
-            return `setcps(${adjustedCps.toFixed(4)})
-${baseCode}.gain(${(vol / 100).toFixed(2)}).room(${(rev / 100).toFixed(2)})`;
-          }
-
-          return `setcps(${adjustedCps.toFixed(4)})
-${sequence.code.trim()}
-.gain(${(vol / 100).toFixed(2)})
-.room(${(rev / 100).toFixed(2)})`;
-        };
-
-        const code = tempBuildCode(updatedIndex);
-        const sampleUrl = seq.isSample ? `${BASE_URL}${seq.samplePath}` : null;
-        await play(code, sequenceId, false, sampleUrl);
+        const seq = { ...sequences[index], code: newCode };
+        // Build from the updated sequence - state hasn't caught up yet
+        const code = buildTrackCode(seq, trackSettings[sequenceId], masterBpm);
+        await play(code, sequenceId, false);
       }
     }
 
-    // If it's an AI pattern or sample, save the updated code to the server
+    // Save the updated code to the server if it's an AI pattern, or a built-in
+    // tile that has been refined, so its revisions survive a reload
     const sequence = sequences.find(s => s.id === sequenceId);
-    if (sequence?.isAI) {
+    if (sequence?.isAI || (!sequence?.isSample && (extra.revisions || sequence?.revisions))) {
       try {
-        await fetch(`${API_URL}/patterns`, {
+        await apiFetch('/patterns', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ pattern: { ...sequence, code: newCode } })
+          body: JSON.stringify({ pattern: { ...sequence, ...extra, code: newCode } })
         });
       } catch (err) {
         console.error('Failed to save updated pattern:', err);
       }
-    } else if (sequence?.isSample) {
-      // Samples are stored on disk, not in patterns.json
-      // The code change is already in state and will persist
-      console.log('Sample code updated in state');
+    }
+    // Other edits to built-in and sample tiles live in state and are kept by saving the project
+  };
+
+  // Save the whole session as a named project on the server
+  const handleSaveProject = async (name, projectId) => {
+    const project = {
+      id: projectId || undefined,
+      name,
+      masterBpm,
+      multiTrackMode,
+      sequences,
+      trackSettings,
+      // Leave out anything that isn't a tile, like an AI variation being auditioned
+      activeTrackIds: Array.from(activeTrackIds).filter(id => sequences.some(s => s.id === id))
+    };
+
+    const res = await apiFetch('/projects', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ project })
+    });
+    const data = await res.json();
+    if (data.error) {
+      throw new Error(data.error);
+    }
+    setCurrentProject({ id: data.project.id, name: data.project.name });
+  };
+
+  // Load a project and restore its exact mix
+  const handleLoadProject = async (projectId) => {
+    const res = await apiFetch(`/projects/${projectId}`);
+    const data = await res.json();
+    if (data.error) {
+      throw new Error(data.error);
+    }
+    const { project } = data;
+
+    // Saved tiles come first in their saved order; keep tiles added since.
+    // Sample tiles whose file is no longer on the server are dropped, and the
+    // rest take the file's current sound name (tiles saved before samples had
+    // their own are moved off "_smp").
+    const samplesRes = await apiFetch('/samples');
+    const samplesData = await samplesRes.json();
+    const serverSamples = new Map((samplesData.samples || []).map(sample => {
+      const seq = sampleToSequence(sample);
+      return [seq.id, seq];
+    }));
+    const savedIds = new Set(project.sequences.map(s => s.id));
+    const restoredSequences = [
+      ...project.sequences
+        .filter(s => !s.isSample || serverSamples.has(s.id))
+        .map(s => {
+          if (!s.isSample) return s;
+          const { sound, samplePath } = serverSamples.get(s.id);
+          return { ...s, sound, samplePath, code: s.code.replace(/\b_smp\b/g, sound) };
+        }),
+      ...sequences.filter(s => !savedIds.has(s.id))
+    ];
+    const restoredSettings = {};
+    restoredSequences.forEach(seq => {
+      restoredSettings[seq.id] = {
+        ...defaultTrackSettings(),
+        ...trackSettings[seq.id],
+        ...project.trackSettings?.[seq.id]
+      };
+    });
+    const restoredBpm = project.masterBpm ?? DEFAULT_MASTER_BPM;
+
+    // Stop everything that's currently playing
+    activeTrackIds.forEach(id => stopDirectAudio(id));
+    await hush();
+
+    setSequences(restoredSequences);
+    setTrackSettings(restoredSettings);
+    setMasterBpm(restoredBpm);
+    setMultiTrackMode(project.multiTrackMode ?? true);
+    setCurrentProject({ id: project.id, name: project.name });
+    setCodeUpdateCounter(prev => prev + 1);
+
+    // Restart the tracks that were playing when the project was saved
+    let first = true;
+    for (const trackId of project.activeTrackIds || []) {
+      const seq = restoredSequences.find(s => s.id === trackId);
+      if (!seq) continue;
+      const settings = restoredSettings[trackId];
+
+      if (seq.isSample) {
+        await playDirectAudio(`${BASE_URL}${seq.samplePath}`, trackId, directAudioOptions(settings, sampleTempo(seq, restoredBpm)));
+      } else {
+        await play(buildTrackCode(seq, settings, restoredBpm), trackId, first);
+        first = false;
+      }
     }
   };
 
   // Handle AI-generated pattern - save to server
-  const handlePatternGenerated = async (pattern) => {
+  // launch: start it straight away on top of what's playing ("add a part")
+  const handlePatternGenerated = async (pattern, { launch = false } = {}) => {
     // Add new pattern to sequences
     setSequences(prev => [...prev, pattern]);
     // Initialize track settings for the new pattern
+    const settings = defaultTrackSettings();
     setTrackSettings(prev => ({
       ...prev,
-      [pattern.id]: { volume: 80, reverb: 20 }
+      [pattern.id]: settings
     }));
 
+    if (launch) {
+      setMultiTrackMode(true);
+      await play(buildTrackCode(pattern, settings, masterBpm), pattern.id, false, activeTrackIds.size > 0 ? quantize : 0);
+    }
+
     // Save to server for persistence
     try {
-      await fetch(`${API_URL}/patterns`, {
+      await apiFetch('/patterns', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ pattern })
@@ -325,6 +623,15 @@ ${sequence.code.trim()}
     }
   };
 
+  // Audition an AI variation as a temporary track alongside the mix
+  // It isn't a sequence, so nothing about it is saved unless it's kept
+  const handleAudition = async (candidate) => {
+    const code = buildTrackCode(candidate, defaultTrackSettings(), masterBpm);
+    await play(code, candidate.id, false, activeTrackIds.size > 0 ? quantize : 0);
+  };
+
+  const handleStopAudition = useCallback((trackId) => stopTrack(trackId), [stopTrack]);
+
   // Delete a sequence (AI pattern or sample)
   const handleDeleteSequence = async (sequence) => {
     // Stop the track if it's playing
@@ -342,12 +649,12 @@ ${sequence.code.trim()}
 
     // Delete from server
     try {
-      if (sequence.isAI) {
-        await fetch(`${API_URL}/patterns/${sequence.id}`, { method: 'DELETE' });
+      if (sequence.isAI || sequence.revisions) {
+        await apiFetch(`/patterns/${sequence.id}`, { method: 'DELETE' });
       } else if (sequence.isSample) {
         // Extract filename from path
         const filename = sequence.samplePath.split('/').pop();
-        await fetch(`${API_URL}/samples/${filename}`, { method: 'DELETE' });
+        await apiFetch(`/samples/${filename}`, { method: 'DELETE' });
       }
     } catch (err) {
       console.error('Failed to delete from server:', err);
@@ -355,6 +662,7 @@ ${sequence.code.trim()}
   };
 
   // Convert a downloaded sample to a sequence tile
+  // `sound` is the name the server gave the file, registered with Strudel so any pattern can play it
   const sampleToSequence = (sample) => ({
     id: `sample-${sample.name.replace(/\.[^.]+$/, '')}`,
     name: sample.name.replace(/\.[^.]+$/, '').replace(/_/g, ' '),
@@ -363,7 +671,8 @@ ${sequence.code.trim()}
     description: 'Downloaded sample',
     isSample: true,
     samplePath: sample.path,
-    code: `s("_smp").cut(1).slow(2)` // slow(2) = plays every 4 seconds (fast restart but starts immediately)
+    sound: sample.sound,
+    code: `s("${sample.sound}").cut(1).slow(2)` // slow(2) = plays every 4 seconds (fast restart but starts immediately)
   });
 
   // Handle sample downloaded - add as playable tile
@@ -372,27 +681,67 @@ ${sequence.code.trim()}
     setSequences(prev => [...prev, sampleSeq]);
     setTrackSettings(prev => ({
       ...prev,
-      [sampleSeq.id]: {
-        volume: 80,
-        reverb: 20,
-        playbackRate: 1.0,
-        loop: false,
-        startTime: 0,
-        endTime: null
-      }
+      [sampleSeq.id]: defaultTrackSettings()
     }));
   };
 
+  // Upload audio files dropped on the grid; each becomes a sample tile
+  const handleUploadFiles = async (files) => {
+    const audioFiles = files.filter(isAudioFile);
+    if (audioFiles.length === 0) {
+      setUploadStatus({ error: 'Only WAV, MP3, OGG and FLAC files can be added' });
+      return;
+    }
+
+    setUploadStatus({ message: `Uploading ${audioFiles.length} file${audioFiles.length > 1 ? 's' : ''}...` });
+    try {
+      const { samples, errors } = await uploadSampleFiles(audioFiles);
+      samples.forEach(sample => handleSampleDownloaded({
+        name: sample.filename,
+        path: sample.path,
+        size: sample.size,
+        sound: sample.sound
+      }));
+      setUploadStatus(errors.length > 0
+        ? { error: errors.map(err => `${err.name}: ${err.error}`).join('\n') }
+        : null);
+    } catch (err) {
+      console.error('Upload failed:', err);
+      setUploadStatus({ error: err.message });
+    }
+  };
+
+  // Only react to files being dragged in, not text or tiles
+  const handleGridDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDraggingFiles(true);
+  };
+
+  const handleGridDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setIsDraggingFiles(false);
+    }
+  };
+
+  const handleGridDrop = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    setIsDraggingFiles(false);
+    handleUploadFiles(Array.from(e.dataTransfer.files));
+  };
+
   // Load existing samples and AI patterns on mount
   useEffect(() => {
     const loadData = async () => {
       try {
         // Load samples
-        const samplesRes = await fetch(`${API_URL}/samples`);
+        const samplesRes = await apiFetch('/samples');
         const samplesData = await samplesRes.json();
 
         // Load AI patterns
-        const patternsRes = await fetch(`${API_URL}/patterns`);
+        const patternsRes = await apiFetch('/patterns');
         const patternsData = await patternsRes.json();
 
         const newSequences = [];
@@ -403,7 +752,7 @@ ${sequence.code.trim()}
           const sampleSequences = samplesData.samples.map(sampleToSequence);
           newSequences.push(...sampleSequences);
           sampleSequences.forEach(seq => {
-            newSettings[seq.id] = { volume: 80, reverb: 20 };
+            newSettings[seq.id] = defaultTrackSettings();
           });
         }
 
@@ -411,16 +760,18 @@ ${sequence.code.trim()}
         if (patternsData.patterns && patternsData.patterns.length > 0) {
           newSequences.push(...patternsData.patterns);
           patternsData.patterns.forEach(p => {
-            newSettings[p.id] = { volume: 80, reverb: 20 };
+            newSettings[p.id] = defaultTrackSettings();
           });
         }
 
         if (newSequences.length > 0) {
-          // Filter out duplicates by checking IDs
+          // Filter out duplicates by checking IDs; refined built-in tiles are
+          // saved with the patterns and take the place of the originals
+          const savedById = new Map((patternsData.patterns || []).map(p => [p.id, p]));
           setSequences(prev => {
             const existingIds = new Set(prev.map(s => s.id));
             const uniqueNew = newSequences.filter(s => !existingIds.has(s.id));
-            return [...prev, ...uniqueNew];
+            return [...prev.map(s => savedById.get(s.id) || s), ...uniqueNew];
           });
           setTrackSettings(prev => ({ ...prev, ...newSettings }));
         }
@@ -433,10 +784,13 @@ ${sequence.code.trim()}
 
   // Get active sequences for display
   const activeSequences = sequences.filter(s => activeTrackIds.has(s.id));
+  // Playing tiles only - excludes temporary tracks such as AI auditions
+  const activeTileIds = new Set(activeSequences.map(s => s.id));
+  // Code of the playing patterns as shown in the code preview, for "add a part"
+  const playingPatterns = activeSequences
+    .filter(seq => !seq.isSample)
+    .map(seq => ({ name: seq.name, code: buildCode(sequences.findIndex(s => s.id === seq.id)) }));
   const currentSeq = activeSequences.length > 0 ? activeSequences[0] : sequences[0];
-  const displayBpm = activeSequences.length > 0
-    ? Math.round(activeSequences[0].bpm * tempo / 100)
-    : '--';
   const activeCount = activeTrackIds.size;
 
   return (
@@ -444,11 +798,23 @@ ${sequence.code.trim()}
       <header>
         <h1>Strudel Bop</h1>
         <p className="subtitle">Live Coding Music Interface</p>
+        <ProjectBar
+          currentProject={currentProject}
+          onSave={handleSaveProject}
+          onLoad={handleLoadProject}
+        />
+        <ApiKeyField />
       </header>
 
       <main>
         <div className="visualizer-section">
-          <Visualizer isPlaying={isPlaying} color={currentSeq.color} />
+          <Visualizer
+            isPlaying={isPlaying}
+            color={currentSeq.color}
+            tracks={activeSequences}
+            getMasterAnalyser={getMasterAnalyser}
+            getTrackAnalyser={getTrackAnalyser}
+          />
           <div className="current-info" style={{ borderColor: currentSeq.color }}>
             <span className="label">
               {isPlaying
@@ -460,13 +826,24 @@ ${sequence.code.trim()}
                 ? activeSequences.map(s => s.name).join(' + ')
                 : 'Click a sequence to play'}
             </span>
-            {isPlaying && <span className="bpm-display">{displayBpm} BPM</span>}
+            {sampleLoading && (
+              <span className="sample-loading" title="Fetching the samples this pattern plays">
+                Loading samples {sampleLoading.loaded}/{sampleLoading.total}
+                <progress value={sampleLoading.loaded} max={sampleLoading.total} />
+              </span>
+            )}
+            {sampleBankError && !sampleLoading && (
+              <span className="sample-loading sample-loading-error" title={sampleBankError}>
+                Default samples unavailable
+              </span>
+            )}
+            {isPlaying && <span className="bpm-display">{masterBpm} BPM</span>}
           </div>
         </div>
 
-        {error && (
+        {(error || exportError) && (
           <div className="error-message">
-            <strong>Error:</strong> {error}
+            <strong>Error:</strong> {error || exportError}
           </div>
         )}
 
@@ -475,27 +852,74 @@ ${sequence.code.trim()}
           isLoading={isLoading}
           onPlay={handlePlay}
           onStop={handleStop}
-          tempo={tempo}
-          onTempoChange={handleTempoChange}
+          masterBpm={masterBpm}
+          onMasterBpmChange={handleMasterBpmChange}
+          quantize={quantize}
+          onQuantizeChange={setQuantize}
           multiTrackMode={multiTrackMode}
           onMultiTrackToggle={() => setMultiTrackMode(!multiTrackMode)}
+          onExport={handleExport}
+          isExporting={isExporting}
+          canExport={isPlaying}
+        />
+
+        {activeCount > 0 && (
+          <Mixer
+            tracks={activeSequences}
+            trackSettings={trackSettings}
+            masterBpm={masterBpm}
+            mutedTrackIds={mutedTrackIds}
+            soloedTrackIds={soloedTrackIds}
+            onVolumeChange={handleTrackVolumeChange}
+            onReverbChange={handleTrackReverbChange}
+            onPanChange={handleTrackPanChange}
+            onTempoModeChange={handleTempoModeChange}
+            onMuteToggle={(trackId) => setTrackMuted(trackId, !mutedTrackIds.has(trackId))}
+            onSoloToggle={(trackId) => setTrackSoloed(trackId, !soloedTrackIds.has(trackId))}
+          />
+        )}
+
+        <SceneBar
+          sequences={sequences}
+          activeTrackIds={activeTileIds}
+          trackSettings={trackSettings}
+          onLaunch={handleLaunchScene}
         />
 
         {/* Add button - fixed in top right */}
         <AddMenu
           onPatternGenerated={handlePatternGenerated}
+          onAudition={handleAudition}
+          onStopAudition={handleStopAudition}
+          playingTracks={playingPatterns}
+          masterBpm={masterBpm}
           onSampleAdded={handleSampleDownloaded}
           savedSamples={sequences.filter(s => s.isSample).map(s => ({ name: s.samplePath.split('/').pop(), path: s.samplePath }))}
         />
 
-        {/* Sequence Tiles Grid */}
-        <div className="sequences-grid">
+        {uploadStatus && (
+          <div className={`upload-status ${uploadStatus.error ? 'error' : ''}`}>
+            <span>{uploadStatus.error || uploadStatus.message}</span>
+            {uploadStatus.error && (
+              <button onClick={() => setUploadStatus(null)}>Dismiss</button>
+            )}
+          </div>
+        )}
+
+        {/* Sequence Tiles Grid - audio files can be dropped here */}
+        <div
+          className={`sequences-grid ${isDraggingFiles ? 'drop-target' : ''}`}
+          onDragOver={handleGridDragOver}
+          onDragLeave={handleGridDragLeave}
+          onDrop={handleGridDrop}
+        >
           {sequences.map((seq, index) => (
             <SequenceCard
               key={seq.id}
               sequence={seq}
               isActive={isTrackPlaying(seq.id)}
               isPlaying={isTrackPlaying(seq.id)}
+              queued={queuedTracks[seq.id]}
               onClick={() => handleSequenceClick(index)}
               onCopy={handleCopySequence}
               onDelete={handleDeleteSequence}
@@ -504,6 +928,8 @@ ${sequence.code.trim()}
               reverb={trackSettings[seq.id]?.reverb ?? 20}
               onVolumeChange={handleTrackVolumeChange}
               onReverbChange={handleTrackReverbChange}
+              tempoMode={trackSettings[seq.id]?.tempoMode ?? DEFAULT_TEMPO_MODE}
+              onTempoModeChange={handleTempoModeChange}
               // Sample-specific settings
               playbackRate={trackSettings[seq.id]?.playbackRate ?? 1.0}
               loop={trackSettings[seq.id]?.loop ?? false}
@@ -553,6 +979,14 @@ ${sequence.code.trim()}
         onClose={() => setModalSequence(null)}
         onCodeChange={handleModalCodeChange}
         isPlaying={modalSequence ? isTrackPlaying(modalSequence.id) : false}
+        sampleUrl={modalSequence?.isSample ? `${BASE_URL}${modalSequence.samplePath}` : null}
+        trackSettings={modalSequence ? trackSettings[modalSequence.id] : null}
+        masterBpm={masterBpm}
+        onSampleSettingsChange={handleSampleSettingsChange}
+        onTogglePlay={() => {
+          const index = sequences.findIndex(s => s.id === modalSequence.id);
+          if (index !== -1) handleSequenceClick(index);
+        }}
       />
     </div>
   );
@@ -0,0 +1,33 @@
+// Requests to the backend, with the API key attached when one is set.
+// The key comes from the key field in the header (kept in localStorage) or,
+// for private deployments, VITE_API_KEY at build time.
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+
+const API_KEY_STORAGE = 'strudel-bop-api-key';
+
+// Fired when the server rejects a request for a missing or wrong key
+export const UNAUTHORIZED_EVENT = 'api-unauthorized';
+
+export const getApiKey = () =>
+  localStorage.getItem(API_KEY_STORAGE) || import.meta.env.VITE_API_KEY || '';
+
+export const setApiKey = (key) => {
+  if (key) {
+    localStorage.setItem(API_KEY_STORAGE, key);
+  } else {
+    localStorage.removeItem(API_KEY_STORAGE);
+  }
+};
+
+// fetch() for a path under the API, e.g. apiFetch('/samples')
+export async function apiFetch(path, options = {}) {
+  const headers = new Headers(options.headers);
+  const key = getApiKey();
+  if (key) headers.set('Authorization', `Bearer ${key}`);
+
+  const res = await fetch(`${API_URL}${path}`, { ...options, headers });
+  if (res.status === 401) {
+    window.dispatchEvent(new Event(UNAUTHORIZED_EVENT));
+  }
+  return res;
+}
@@ -1,14 +1,64 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { readEventStream } from '../eventStream';
+import { apiFetch } from '../api';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+const VARIATION_OPTIONS = [1, 2, 3, 4];
 
-export function AIPromptTile({ onPatternGenerated }) {
+const AI_COLOR = '#EC4899'; // Pink for AI-generated
+
+// Tile colors by genre tag, matched loosely ("deep house" is house)
+const GENRE_COLORS = [
+  ['drum and bass', '#F59E0B'],
+  ['dnb', '#F59E0B'],
+  ['jungle', '#F59E0B'],
+  ['techno', '#EF4444'],
+  ['house', '#8B5CF6'],
+  ['dubstep', '#84CC16'],
+  ['trap', '#F97316'],
+  ['hip hop', '#10B981'],
+  ['lo-fi', '#06B6D4'],
+  ['lofi', '#06B6D4'],
+  ['ambient', '#3B82F6'],
+  ['jazz', '#EAB308'],
+];
+
+const genreColor = (genre) =>
+  GENRE_COLORS.find(([name]) => genre?.includes(name))?.[1] || AI_COLOR;
+
+// onPatternGenerated(pattern, { launch }): called for each pattern the user keeps
+// onAudition / onStopAudition: play a variation as a temporary track
+// onDone: every variation has been kept or discarded
+// playingTracks / masterBpm: what's playing now, for "fit to playing tracks"
+export function AIPromptTile({
+  onPatternGenerated,
+  onAudition,
+  onStopAudition,
+  onDone,
+  playingTracks = [],
+  masterBpm
+}) {
   const [isExpanded, setIsExpanded] = useState(false);
   const [prompt, setPrompt] = useState('');
+  const [variationCount, setVariationCount] = useState(1);
+  const [fitToPlaying, setFitToPlaying] = useState(false);
   const [isGenerating, setIsGenerating] = useState(false);
   const [error, setError] = useState(null);
+  const [streamedCode, setStreamedCode] = useState('');
+  const [retryError, setRetryError] = useState(null);
+  const [streamingVariation, setStreamingVariation] = useState(0);
+  const [candidates, setCandidates] = useState([]); // Variations waiting to be kept or discarded
+  const [auditioningId, setAuditioningId] = useState(null);
   const textareaRef = useRef(null);
   const scrollRef = useRef(null);
+  const codeRef = useRef(null);
+  const abortRef = useRef(null);
+  const streamingVariationRef = useRef(0);
+  const launchRef = useRef(false); // Whether the last generation was an "add a part" layer
+  const auditionRef = useRef({ id: null, stop: onStopAudition });
+
+  useEffect(() => {
+    auditionRef.current = { id: auditioningId, stop: onStopAudition };
+  }, [auditioningId, onStopAudition]);
 
   // Auto-scroll the prompt text as user types
   useEffect(() => {
@@ -17,6 +67,20 @@ export function AIPromptTile({ onPatternGenerated }) {
     }
   }, [prompt]);
 
+  // Follow the code as it streams in
+  useEffect(() => {
+    if (codeRef.current) {
+      codeRef.current.scrollTop = codeRef.current.scrollHeight;
+    }
+  }, [streamedCode]);
+
+  // Don't leave a generation or an audition running if the tile goes away
+  useEffect(() => () => {
+    abortRef.current?.abort();
+    const { id, stop } = auditionRef.current;
+    if (id) stop?.(id);
+  }, []);
+
   // Focus textarea when expanded
   useEffect(() => {
     if (isExpanded && textareaRef.current) {
@@ -24,54 +88,173 @@ export function AIPromptTile({ onPatternGenerated }) {
     }
   }, [isExpanded]);
 
+  // Build a tile from a generated result, falling back to the prompt for anything
+  // the model didn't describe
+  const toPattern = (result, index, count) => {
+    const promptName = prompt.substring(0, 30) + (prompt.length > 30 ? '...' : '');
+    const name = result.title || (count > 1 ? `${promptName} #${index + 1}` : promptName);
+    return {
+      id: `ai-${Date.now()}-${index}`,
+      name,
+      description: result.description || prompt,
+      code: result.code,
+      color: genreColor(result.genre),
+      bpm: result.bpm || 120,
+      genre: result.genre,
+      isAI: true
+    };
+  };
+
+  const reset = () => {
+    setPrompt('');
+    setStreamedCode('');
+    setRetryError(null);
+    setCandidates([]);
+    setIsExpanded(false);
+  };
+
   const handleGenerate = async () => {
     if (!prompt.trim() || isGenerating) return;
 
+    const controller = new AbortController();
+    abortRef.current = controller;
     setIsGenerating(true);
     setError(null);
+    setStreamedCode('');
+    setRetryError(null);
+    setStreamingVariation(0);
+
+    // In "add a part" mode the result joins the mix instead of waiting to be clicked
+    const asLayer = fitToPlaying && playingTracks.length > 0;
+    launchRef.current = asLayer;
 
     try {
-      const res = await fetch(`${API_URL}/generate`, {
+      const res = await apiFetch('/generate', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompt: prompt.trim() })
+        body: JSON.stringify({
+          prompt: prompt.trim(),
+          variations: variationCount,
+          context: asLayer ? { bpm: masterBpm, tracks: playingTracks } : undefined,
+          stream: true
+        }),
+        signal: controller.signal
       });
 
-      const data = await res.json();
-
-      if (data.error) {
-        setError(data.error);
-      } else {
-        // Pass the generated pattern to parent
-        onPatternGenerated?.({
-          id: `ai-${Date.now()}`,
-          name: prompt.substring(0, 30) + (prompt.length > 30 ? '...' : ''),
-          description: prompt,
-          code: data.code,
-          color: '#EC4899', // Pink for AI-generated
-          bpm: 120, // Default BPM
-          isAI: true
-        });
-
-        // Reset
-        setPrompt('');
-        setIsExpanded(false);
+      // Errors before generation starts (missing prompt, no provider) are plain JSON
+      if (!res.ok) {
+        const data = await res.json();
+        setError(data.error || 'Failed to generate');
+        return;
+      }
+
+      let result = null;
+      await readEventStream(res, (event, data) => {
+        if (event === 'token') {
+          if (data.variation !== streamingVariationRef.current) {
+            streamingVariationRef.current = data.variation;
+            setStreamingVariation(data.variation);
+            setStreamedCode('');
+            setRetryError(null);
+          }
+          setStreamedCode(code => code + data.text);
+        } else if (event === 'retry') {
+          // The model is rewriting after a validation failure
+          setStreamedCode('');
+          setRetryError(data.error);
+        } else if (event === 'variation' && data.code && variationCount > 1) {
+          // Offer each variation for audition as soon as it's ready
+          setCandidates(prev => [...prev, {
+            ...toPattern(data, data.variation, variationCount),
+            id: `audition-${Date.now()}-${data.variation}`,
+            variation: data.variation
+          }]);
+        } else if (event === 'done') {
+          result = data;
+        } else if (event === 'error') {
+          setError(data.error);
+        }
+      });
+
+      // A single result goes straight onto the board as before
+      if (result && variationCount === 1) {
+        onPatternGenerated?.(toPattern(result, 0, 1), { launch: asLayer });
+        reset();
+        onDone?.();
+      } else if (result && result.variations.some(v => v.error)) {
+        const failed = result.variations.filter(v => v.error).length;
+        setError(`${failed} of ${variationCount} variations failed validation`);
       }
     } catch (err) {
-      setError('Failed to generate. Is the server running?');
+      if (err.name !== 'AbortError') {
+        setError('Failed to generate. Is the server running?');
+      }
     } finally {
+      abortRef.current = null;
+      streamingVariationRef.current = 0;
+      setStreamedCode('');
       setIsGenerating(false);
     }
   };
 
+  // Closing the request stops generation on the server
+  const handleCancel = () => {
+    abortRef.current?.abort();
+    setStreamedCode('');
+    setRetryError(null);
+  };
+
+  const stopAudition = () => {
+    if (auditioningId) {
+      onStopAudition?.(auditioningId);
+      setAuditioningId(null);
+    }
+  };
+
+  // Only one variation plays at a time so they can be compared
+  const handleAuditionToggle = (candidate) => {
+    stopAudition();
+    if (auditioningId !== candidate.id) {
+      onAudition?.(candidate);
+      setAuditioningId(candidate.id);
+    }
+  };
+
+  // Kept variations become real tiles (and are saved); the list closes once it's empty
+  const resolveCandidate = (candidate, keep) => {
+    if (auditioningId === candidate.id) stopAudition();
+    if (keep) {
+      const { variation, ...pattern } = candidate;
+      onPatternGenerated?.(
+        { ...pattern, id: `ai-${Date.now()}-${variation}` },
+        { launch: launchRef.current }
+      );
+    }
+
+    const remaining = candidates.filter(c => c.id !== candidate.id);
+    setCandidates(remaining);
+    if (remaining.length === 0 && !isGenerating) {
+      reset();
+      onDone?.();
+    }
+  };
+
+  const handleClose = () => {
+    handleCancel();
+    stopAudition();
+    setCandidates([]);
+    setIsExpanded(false);
+    setPrompt('');
+    setError(null);
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
       handleGenerate();
     }
     if (e.key === 'Escape') {
-      setIsExpanded(false);
-      setPrompt('');
+      handleClose();
     }
   };
 
@@ -107,11 +290,7 @@ export function AIPromptTile({ onPatternGenerated }) {
         <span className="ai-label">Describe your track</span>
         <button
           className="ai-close-btn"
-          onClick={() => {
-            setIsExpanded(false);
-            setPrompt('');
-            setError(null);
-          }}
+          onClick={handleClose}
         >
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
             <line x1="18" y1="6" x2="6" y2="18" />
@@ -124,7 +303,9 @@ export function AIPromptTile({ onPatternGenerated }) {
         <textarea
           ref={textareaRef}
           className="ai-prompt-input"
-          placeholder="e.g., chill lo-fi beat with soft piano and vinyl crackle..."
+          placeholder={fitToPlaying && playingTracks.length > 0
+            ? "e.g., a bassline that fits what's playing..."
+            : 'e.g., chill lo-fi beat with soft piano and vinyl crackle...'}
           value={prompt}
           onChange={(e) => setPrompt(e.target.value)}
           onKeyDown={handleKeyDown}
@@ -132,6 +313,50 @@ export function AIPromptTile({ onPatternGenerated }) {
         />
       </div>
 
+      {isGenerating && (
+        <pre className="ai-stream-code" ref={codeRef}>
+          {streamedCode || ' '}
+        </pre>
+      )}
+
+      {isGenerating && retryError && (
+        <div className="ai-retry">Fixing: {retryError}</div>
+      )}
+
+      {isGenerating && variationCount > 1 && (
+        <div className="ai-hint">Writing variation {streamingVariation + 1} of {variationCount}</div>
+      )}
+
+      {candidates.length > 0 && (
+        <div className="ai-variations">
+          {candidates.map(candidate => (
+            <div
+              key={candidate.id}
+              className={`ai-variation ${auditioningId === candidate.id ? 'auditioning' : ''}`}
+            >
+              <button
+                className="ai-variation-play"
+                onClick={() => handleAuditionToggle(candidate)}
+                title={auditioningId === candidate.id ? 'Stop' : 'Audition'}
+              >
+                {auditioningId === candidate.id ? '■' : '▶'}
+              </button>
+              <span className="ai-variation-name" style={{ color: candidate.color }}>
+                {candidate.name}
+              </span>
+              <span className="ai-variation-bpm">{candidate.bpm} BPM</span>
+              <code className="ai-variation-code">{candidate.code}</code>
+              <button className="ai-variation-keep" onClick={() => resolveCandidate(candidate, true)}>
+                Keep
+              </button>
+              <button className="ai-variation-discard" onClick={() => resolveCandidate(candidate, false)}>
+                Discard
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
       {error && (
         <div className="ai-error">{error}</div>
       )}
@@ -140,7 +365,38 @@ export function AIPromptTile({ onPatternGenerated }) {
         <span className="ai-hint">
           {isGenerating ? 'Generating...' : 'Press Enter to generate'}
         </span>
-        {isGenerating && <span className="loading-spinner small" />}
+        {!isGenerating && playingTracks.length > 0 && (
+          <label className="ai-fit-toggle" title="Write a layer in the same key and groove as the playing tracks">
+            <input
+              type="checkbox"
+              checked={fitToPlaying}
+              onChange={(e) => setFitToPlaying(e.target.checked)}
+            />
+            Fit to playing ({playingTracks.length})
+          </label>
+        )}
+        {!isGenerating && (
+          <select
+            className="ai-variation-select"
+            value={variationCount}
+            onChange={(e) => setVariationCount(parseInt(e.target.value, 10))}
+            title="Number of variations to generate"
+          >
+            {VARIATION_OPTIONS.map(n => (
+              <option key={n} value={n}>
+                {n === 1 ? '1 result' : `${n} variations`}
+              </option>
+            ))}
+          </select>
+        )}
+        {isGenerating && (
+          <div className="ai-footer-actions">
+            <span className="loading-spinner small" />
+            <button className="ai-cancel-btn" onClick={handleCancel}>
+              Cancel
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
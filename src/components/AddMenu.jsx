@@ -2,10 +2,19 @@ import React, { useState } from 'react';
 import { createPortal } from 'react-dom';
 import { AIPromptTile } from './AIPromptTile';
 import { SampleTile } from './SampleTile';
+import { RecordingTile } from './RecordingTile';
 
-export function AddMenu({ onPatternGenerated, onSampleAdded, savedSamples }) {
+export function AddMenu({
+  onPatternGenerated,
+  onAudition,
+  onStopAudition,
+  playingTracks,
+  masterBpm,
+  onSampleAdded,
+  savedSamples
+}) {
   const [showMenu, setShowMenu] = useState(false);
-  const [activeMode, setActiveMode] = useState(null); // 'ai', 'sample', or null
+  const [activeMode, setActiveMode] = useState(null); // 'ai', 'sample', 'record', or null
 
   const handleModeSelect = (mode) => {
     setActiveMode(mode);
@@ -16,11 +25,6 @@ export function AddMenu({ onPatternGenerated, onSampleAdded, savedSamples }) {
     setActiveMode(null);
   };
 
-  const handlePatternGenerated = (pattern) => {
-    onPatternGenerated(pattern);
-    setActiveMode(null);
-  };
-
   const handleSampleAdded = (sample) => {
     onSampleAdded(sample);
     setActiveMode(null);
@@ -30,7 +34,14 @@ export function AddMenu({ onPatternGenerated, onSampleAdded, savedSamples }) {
   if (activeMode === 'ai') {
     return (
       <div style={{ marginBottom: '1.5rem' }}>
-        <AIPromptTile onPatternGenerated={handlePatternGenerated} />
+        <AIPromptTile
+          onPatternGenerated={onPatternGenerated}
+          onAudition={onAudition}
+          onStopAudition={onStopAudition}
+          onDone={handleClose}
+          playingTracks={playingTracks}
+          masterBpm={masterBpm}
+        />
       </div>
     );
   }
@@ -43,6 +54,14 @@ export function AddMenu({ onPatternGenerated, onSampleAdded, savedSamples }) {
     );
   }
 
+  if (activeMode === 'record') {
+    return (
+      <div style={{ marginBottom: '1.5rem' }}>
+        <RecordingTile onSampleAdded={handleSampleAdded} />
+      </div>
+    );
+  }
+
   // Show compact add button
   if (!showMenu) {
     return (
@@ -130,9 +149,9 @@ export function AddMenu({ onPatternGenerated, onSampleAdded, savedSamples }) {
         </button>
 
         <button
-          className="add-menu-option disabled"
-          disabled
-          style={{ '--option-color': '#6B7280' }}
+          className="add-menu-option"
+          onClick={() => handleModeSelect('record')}
+          style={{ '--option-color': '#10B981' }}
         >
           <div className="option-icon">
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -142,7 +161,7 @@ export function AddMenu({ onPatternGenerated, onSampleAdded, savedSamples }) {
           </div>
           <div className="option-text">
             <span className="option-title">Record</span>
-            <span className="option-desc">Coming soon</span>
+            <span className="option-desc">From your microphone</span>
           </div>
         </button>
             </div>
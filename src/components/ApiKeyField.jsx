@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import { getApiKey, setApiKey, UNAUTHORIZED_EVENT } from '../api';
+
+// Key entry for servers that have API_KEYS set
+// Stays out of the way until the server asks for a key or one has been saved
+export function ApiKeyField() {
+  const [hasKey, setHasKey] = useState(() => Boolean(getApiKey()));
+  const [isEditing, setIsEditing] = useState(false);
+  const [rejected, setRejected] = useState(false);
+  const [key, setKey] = useState('');
+
+  // Open the form when a request is refused
+  useEffect(() => {
+    const handleUnauthorized = () => {
+      setRejected(true);
+      setIsEditing(true);
+    };
+    window.addEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+    return () => window.removeEventListener(UNAUTHORIZED_EVENT, handleUnauthorized);
+  }, []);
+
+  // Reload so everything that failed without the key is fetched again
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!key.trim()) return;
+    setApiKey(key.trim());
+    window.location.reload();
+  };
+
+  const handleClear = () => {
+    setApiKey(null);
+    setHasKey(false);
+    setIsEditing(false);
+    setKey('');
+  };
+
+  if (!hasKey && !rejected) return null;
+
+  if (!isEditing) {
+    return (
+      <button className="project-btn api-key-btn" onClick={() => setIsEditing(true)} title="API key">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+          <circle cx="7.5" cy="15.5" r="5.5" />
+          <path d="M21 2l-9.6 9.6M15.5 7.5l3 3L22 7l-3-3" />
+        </svg>
+        Key
+      </button>
+    );
+  }
+
+  return (
+    <form className="api-key-form" onSubmit={handleSave}>
+      {rejected && <span className="project-error">This server needs a valid API key</span>}
+      <input
+        type="password"
+        placeholder="API key"
+        value={key}
+        onChange={(e) => setKey(e.target.value)}
+        autoFocus
+      />
+      <button type="submit" className="project-btn" disabled={!key.trim()}>Save</button>
+      {hasKey && (
+        <button type="button" className="project-btn" onClick={handleClear}>Clear</button>
+      )}
+      {!rejected && (
+        <button type="button" className="project-btn" onClick={() => setIsEditing(false)}>Cancel</button>
+      )}
+    </form>
+  );
+}
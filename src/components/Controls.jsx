@@ -1,26 +1,91 @@
-import React from 'react';
+import React, { useState } from 'react';
+
+// Cycle boundaries tracks can be launched and stopped on
+const QUANTIZE_OPTIONS = [
+  { value: 0, label: 'Immediately' },
+  { value: 1, label: 'Next cycle' },
+  { value: 2, label: '2 cycles' },
+  { value: 4, label: '4 cycles' },
+  { value: 8, label: '8 cycles' },
+];
 
 export function Controls({
-  tempo,
-  onTempoChange
+  masterBpm,
+  onMasterBpmChange,
+  quantize,
+  onQuantizeChange,
+  onExport,
+  isExporting,
+  canExport
 }) {
+  const [exportCycles, setExportCycles] = useState(8);
+  const [exportFormat, setExportFormat] = useState('wav');
+
   return (
     <div className="controls">
       <div className="sliders">
         <div className="slider-group">
           <label>
-            <span>Tempo</span>
-            <span className="value">{tempo}%</span>
+            <span>Master BPM</span>
+            <span className="value">{masterBpm}</span>
           </label>
           <input
             type="range"
-            min="50"
-            max="150"
-            value={tempo}
-            onChange={(e) => onTempoChange(Number(e.target.value))}
+            min="60"
+            max="200"
+            value={masterBpm}
+            onChange={(e) => onMasterBpmChange(Number(e.target.value))}
           />
         </div>
       </div>
+
+      {onQuantizeChange && (
+        <div className="launch-controls">
+          <span>Launch</span>
+          <select
+            value={quantize}
+            onChange={(e) => onQuantizeChange(Number(e.target.value))}
+            title="When clicked tiles start and stop"
+          >
+            {QUANTIZE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {onExport && (
+        <div className="export-controls">
+          <select
+            value={exportCycles}
+            onChange={(e) => setExportCycles(Number(e.target.value))}
+            disabled={isExporting}
+            title="Cycles to render"
+          >
+            <option value={4}>4 cycles</option>
+            <option value={8}>8 cycles</option>
+            <option value={16}>16 cycles</option>
+            <option value={32}>32 cycles</option>
+          </select>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            disabled={isExporting}
+            title="File format"
+          >
+            <option value="wav">WAV</option>
+            <option value="mp3">MP3</option>
+          </select>
+          <button
+            className="export-btn"
+            onClick={() => onExport(exportCycles, exportFormat)}
+            disabled={isExporting || !canExport}
+            title={canExport ? 'Render the active tracks to a file' : 'Play some tracks to export'}
+          >
+            {isExporting ? <span className="loading-spinner small" /> : 'Export'}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,129 @@
+import React from 'react';
+import { TEMPO_MODES, DEFAULT_TEMPO_MODE, effectiveBpm } from '../tempo';
+
+// Pan is stored 0..1; show it as L/C/R with a percentage
+const formatPan = (pan) => {
+  const offset = Math.round((pan - 0.5) * 200);
+  if (offset === 0) return 'C';
+  return offset < 0 ? `L${-offset}` : `R${offset}`;
+};
+
+export function Mixer({
+  tracks,
+  trackSettings,
+  masterBpm,
+  mutedTrackIds,
+  soloedTrackIds,
+  onVolumeChange,
+  onReverbChange,
+  onPanChange,
+  onTempoModeChange,
+  onMuteToggle,
+  onSoloToggle
+}) {
+  const anySoloed = soloedTrackIds.size > 0;
+
+  return (
+    <div className="mixer">
+      <div className="mixer-header">Mixer</div>
+      <div className="mixer-channels">
+        {tracks.map(track => {
+          const settings = trackSettings[track.id] || {};
+          const volume = settings.volume ?? 80;
+          const reverb = settings.reverb ?? 20;
+          const pan = settings.pan ?? 0.5;
+          const tempoMode = settings.tempoMode ?? DEFAULT_TEMPO_MODE;
+          const isMuted = mutedTrackIds.has(track.id);
+          const isSoloed = soloedTrackIds.has(track.id);
+          // Dim channels that can't be heard right now
+          const isSilent = isMuted || (anySoloed && !isSoloed);
+
+          return (
+            <div
+              key={track.id}
+              className={`mixer-channel ${isSilent ? 'silent' : ''}`}
+              style={{ '--slider-color': track.color }}
+            >
+              <div className="mixer-channel-name" title={track.name}>
+                <span className="mixer-channel-dot" />
+                {track.name}
+              </div>
+
+              <div className="mixer-buttons">
+                <button
+                  className={`mixer-btn mute ${isMuted ? 'active' : ''}`}
+                  onClick={() => onMuteToggle(track.id)}
+                  title={isMuted ? 'Unmute' : 'Mute'}
+                >
+                  M
+                </button>
+                <button
+                  className={`mixer-btn solo ${isSoloed ? 'active' : ''}`}
+                  onClick={() => onSoloToggle(track.id)}
+                  title={isSoloed ? 'Unsolo' : 'Solo'}
+                >
+                  S
+                </button>
+              </div>
+
+              <label className="mixer-control">
+                <span>Vol</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={volume}
+                  onChange={(e) => onVolumeChange(track.id, Number(e.target.value))}
+                />
+                <span className="value">{volume}%</span>
+              </label>
+
+              {!track.isSample && (
+                <label className="mixer-control">
+                  <span>Rev</span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    value={reverb}
+                    onChange={(e) => onReverbChange(track.id, Number(e.target.value))}
+                  />
+                  <span className="value">{reverb}%</span>
+                </label>
+              )}
+
+              <label className="mixer-control">
+                <span>Pan</span>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={pan}
+                  onChange={(e) => onPanChange(track.id, Number(e.target.value))}
+                  onDoubleClick={() => onPanChange(track.id, 0.5)}
+                />
+                <span className="value">{formatPan(pan)}</span>
+              </label>
+
+              {!track.isSample && (
+                <label className="mixer-control">
+                  <span>Bpm</span>
+                  <select
+                    value={tempoMode}
+                    onChange={(e) => onTempoModeChange(track.id, e.target.value)}
+                  >
+                    {TEMPO_MODES.map(mode => (
+                      <option key={mode.id} value={mode.id}>{mode.label}</option>
+                    ))}
+                  </select>
+                  <span className="value">{effectiveBpm(track.bpm, tempoMode, masterBpm)}</span>
+                </label>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { apiFetch } from '../api';
+
+export function ProjectBar({ currentProject, onSave, onLoad }) {
+  const [projects, setProjects] = useState([]);
+  const [showList, setShowList] = useState(false);
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const listRef = useRef(null);
+
+  const fetchProjects = async () => {
+    try {
+      const res = await apiFetch('/projects');
+      const data = await res.json();
+      setProjects(data.projects || []);
+    } catch (err) {
+      console.error('Failed to fetch projects:', err);
+    }
+  };
+
+  // Close the project list when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (listRef.current && !listRef.current.contains(e.target)) {
+        setShowList(false);
+      }
+    };
+    if (showList) {
+      document.addEventListener('mousedown', handleClickOutside);
+      return () => document.removeEventListener('mousedown', handleClickOutside);
+    }
+  }, [showList]);
+
+  const runAction = async (action) => {
+    setIsBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSave = () => {
+    if (currentProject) {
+      runAction(() => onSave(currentProject.name, currentProject.id));
+    } else {
+      setName('');
+      setIsNaming(true);
+    }
+  };
+
+  const handleSaveAs = () => {
+    setName(currentProject ? `${currentProject.name} copy` : '');
+    setIsNaming(true);
+  };
+
+  const handleNameSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setIsNaming(false);
+    runAction(() => onSave(name.trim(), null));
+  };
+
+  const handleToggleList = () => {
+    if (!showList) fetchProjects();
+    setShowList(!showList);
+  };
+
+  const handleLoad = (id) => {
+    setShowList(false);
+    runAction(() => onLoad(id));
+  };
+
+  const handleDelete = async (e, id) => {
+    e.stopPropagation();
+    try {
+      await apiFetch(`/projects/${id}`, { method: 'DELETE' });
+      await fetchProjects();
+    } catch (err) {
+      console.error('Failed to delete project:', err);
+    }
+  };
+
+  return (
+    <div className="project-bar" ref={listRef}>
+      {isNaming ? (
+        <form className="project-name-form" onSubmit={handleNameSubmit}>
+          <input
+            autoFocus
+            type="text"
+            placeholder="Project name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setIsNaming(false)}
+          />
+          <button type="submit" className="project-btn" disabled={!name.trim()}>Save</button>
+        </form>
+      ) : (
+        <>
+          <button className="project-btn project-current" onClick={handleToggleList} disabled={isBusy}>
+            <span className="project-name">{currentProject?.name || 'Untitled project'}</span>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <polyline points="6 9 12 15 18 9" />
+            </svg>
+          </button>
+          <button className="project-btn" onClick={handleSave} disabled={isBusy}>
+            {isBusy ? <span className="loading-spinner small" /> : 'Save'}
+          </button>
+          {currentProject && (
+            <button className="project-btn" onClick={handleSaveAs} disabled={isBusy}>Save as</button>
+          )}
+        </>
+      )}
+
+      {error && <span className="project-error">{error}</span>}
+
+      {showList && (
+        <div className="project-list">
+          <div className="project-list-header">Projects</div>
+          {projects.length === 0 && (
+            <div className="project-list-empty">No saved projects yet</div>
+          )}
+          {projects.map(project => (
+            <div
+              key={project.id}
+              className={`project-list-item ${project.id === currentProject?.id ? 'current' : ''}`}
+              onClick={() => handleLoad(project.id)}
+            >
+              <span className="project-list-name">{project.name}</span>
+              <span className="project-list-meta">
+                {new Date(project.updatedAt).toLocaleDateString()}
+              </span>
+              <button
+                className="project-list-delete"
+                onClick={(e) => handleDelete(e, project.id)}
+                title="Delete project"
+              >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="18" y1="6" x2="6" y2="18" />
+                  <line x1="6" y1="6" x2="18" y2="18" />
+                </svg>
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
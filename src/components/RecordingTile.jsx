@@ -1,7 +1,262 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
+import { encodeWav, trimAudioBuffer } from '../wav';
+import { apiFetch } from '../api';
 
-export function RecordingTile() {
+export function RecordingTile({ onSampleAdded }) {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [status, setStatus] = useState('idle'); // 'idle', 'recording', 'review', 'uploading'
+  const [elapsed, setElapsed] = useState(0);
+  const [recordedBuffer, setRecordedBuffer] = useState(null);
+  const [trimStart, setTrimStart] = useState(0);
+  const [trimEnd, setTrimEnd] = useState(0);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const audioContextRef = useRef(null);
+  const streamRef = useRef(null);
+  const recorderRef = useRef(null);
+  const chunksRef = useRef([]);
+  const analyserRef = useRef(null);
+  const meterRef = useRef(null);
+  const animationRef = useRef(null);
+  const timerRef = useRef(null);
+  const previewRef = useRef(null);
+  const canvasRef = useRef(null);
+
+  // Release microphone, timers and audio context
+  const cleanup = () => {
+    if (animationRef.current) cancelAnimationFrame(animationRef.current);
+    if (timerRef.current) clearInterval(timerRef.current);
+    animationRef.current = null;
+    timerRef.current = null;
+
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.onstop = null;
+      recorderRef.current.stop();
+    }
+    streamRef.current?.getTracks().forEach(track => track.stop());
+    streamRef.current = null;
+    analyserRef.current = null;
+
+    try {
+      previewRef.current?.stop();
+    } catch {
+      // Already stopped
+    }
+    previewRef.current = null;
+  };
+
+  // Clean up when the tile unmounts
+  useEffect(() => {
+    return () => {
+      cleanup();
+      audioContextRef.current?.close();
+    };
+  }, []);
+
+  // Draw the recorded waveform with the trim region highlighted
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !recordedBuffer) return;
+
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const data = recordedBuffer.getChannelData(0);
+    const samplesPerPixel = Math.max(1, Math.floor(data.length / width));
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#10B981';
+
+    for (let x = 0; x < width; x++) {
+      let peak = 0;
+      const offset = x * samplesPerPixel;
+      for (let i = 0; i < samplesPerPixel; i++) {
+        peak = Math.max(peak, Math.abs(data[offset + i] || 0));
+      }
+      const barHeight = Math.max(1, peak * height);
+      ctx.fillRect(x, (height - barHeight) / 2, 1, barHeight);
+    }
+
+    // Dim the parts that will be trimmed away
+    const startX = (trimStart / recordedBuffer.duration) * width;
+    const endX = (trimEnd / recordedBuffer.duration) * width;
+    ctx.fillStyle = 'rgba(15, 15, 20, 0.7)';
+    ctx.fillRect(0, 0, startX, height);
+    ctx.fillRect(endX, 0, width - endX, height);
+  }, [recordedBuffer, trimStart, trimEnd]);
+
+  const getAudioContext = () => {
+    if (!audioContextRef.current) {
+      audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    return audioContextRef.current;
+  };
+
+  // Decode the take so it can be trimmed
+  const handleRecordingStopped = async () => {
+    const mimeType = recorderRef.current?.mimeType;
+    cleanup();
+
+    try {
+      const blob = new Blob(chunksRef.current, { type: mimeType });
+      const arrayBuffer = await blob.arrayBuffer();
+      const buffer = await getAudioContext().decodeAudioData(arrayBuffer);
+      setRecordedBuffer(buffer);
+      setTrimStart(0);
+      setTrimEnd(buffer.duration);
+      setName(`recording_${new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '')}`);
+      setStatus('review');
+    } catch (err) {
+      console.error('Failed to decode recording:', err);
+      setError('Failed to process recording');
+      setStatus('idle');
+    }
+  };
+
+  const startRecording = async () => {
+    setError(null);
+
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      streamRef.current = stream;
+
+      const ctx = getAudioContext();
+      if (ctx.state === 'suspended') {
+        await ctx.resume();
+      }
+
+      // Tap the input for the level meter
+      const analyser = ctx.createAnalyser();
+      analyser.fftSize = 1024;
+      ctx.createMediaStreamSource(stream).connect(analyser);
+      analyserRef.current = analyser;
+
+      const recorder = new MediaRecorder(stream);
+      chunksRef.current = [];
+      recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunksRef.current.push(e.data);
+      };
+      recorder.onstop = handleRecordingStopped;
+      recorderRef.current = recorder;
+      recorder.start();
+
+      // Elapsed time
+      const startedAt = performance.now();
+      setElapsed(0);
+      timerRef.current = setInterval(() => {
+        setElapsed((performance.now() - startedAt) / 1000);
+      }, 100);
+
+      // Live input level
+      const levels = new Float32Array(analyser.fftSize);
+      const updateMeter = () => {
+        if (!analyserRef.current) return;
+        analyserRef.current.getFloatTimeDomainData(levels);
+        let peak = 0;
+        for (let i = 0; i < levels.length; i++) {
+          peak = Math.max(peak, Math.abs(levels[i]));
+        }
+        if (meterRef.current) {
+          meterRef.current.style.width = `${Math.min(100, peak * 100)}%`;
+          meterRef.current.classList.toggle('clipping', peak >= 0.99);
+        }
+        animationRef.current = requestAnimationFrame(updateMeter);
+      };
+      updateMeter();
+
+      setStatus('recording');
+    } catch (err) {
+      console.error('Failed to start recording:', err);
+      setError(err.name === 'NotAllowedError'
+        ? 'Microphone access was denied'
+        : 'Could not access microphone');
+      cleanup();
+    }
+  };
+
+  const stopRecording = () => {
+    if (recorderRef.current?.state === 'recording') {
+      recorderRef.current.stop();
+    }
+  };
+
+  const togglePreview = async () => {
+    if (previewRef.current) {
+      try {
+        previewRef.current.stop();
+      } catch {
+        // Already stopped
+      }
+      previewRef.current = null;
+      return;
+    }
+
+    const ctx = getAudioContext();
+    if (ctx.state === 'suspended') {
+      await ctx.resume();
+    }
+    const source = ctx.createBufferSource();
+    source.buffer = recordedBuffer;
+    source.connect(ctx.destination);
+    source.onended = () => {
+      if (previewRef.current === source) previewRef.current = null;
+    };
+    source.start(0, trimStart, trimEnd - trimStart);
+    previewRef.current = source;
+  };
+
+  const saveRecording = async () => {
+    if (!recordedBuffer) return;
+    setStatus('uploading');
+    setError(null);
+
+    try {
+      const trimmed = trimAudioBuffer(recordedBuffer, trimStart, trimEnd);
+      const wav = encodeWav(trimmed);
+      // The server picks a timestamped name if none is given
+      const query = name.trim() ? `?filename=${encodeURIComponent(name.trim())}` : '';
+
+      const res = await apiFetch(`/record${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'audio/wav' },
+        body: wav
+      });
+      const data = await res.json();
+
+      if (data.error) {
+        setError(data.error);
+        setStatus('review');
+      } else {
+        onSampleAdded?.({
+          name: data.filename,
+          path: data.path,
+          size: data.size,
+          sound: data.sound
+        });
+        reset();
+      }
+    } catch (err) {
+      console.error('Failed to upload recording:', err);
+      setError('Upload failed. Is the server running?');
+      setStatus('review');
+    }
+  };
+
+  const reset = () => {
+    cleanup();
+    setStatus('idle');
+    setRecordedBuffer(null);
+    setElapsed(0);
+    setError(null);
+    setIsExpanded(false);
+  };
+
+  const formatTime = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    const tenths = Math.floor((seconds % 1) * 10);
+    return `${mins}:${secs.toString().padStart(2, '0')}.${tenths}`;
+  };
 
   if (!isExpanded) {
     return (
@@ -18,7 +273,7 @@ export function RecordingTile() {
           </div>
           <div className="recording-add-text">
             <span className="recording-label">Record</span>
-            <span className="recording-hint">coming soon</span>
+            <span className="recording-hint">from microphone</span>
           </div>
         </div>
       </div>
@@ -33,10 +288,13 @@ export function RecordingTile() {
       <div className="card-indicator" style={{ opacity: 1 }} />
 
       <div className="recording-header">
-        <span className="recording-label">Recording</span>
+        <span className="recording-label">
+          {status === 'recording' ? 'Recording...' : status === 'idle' ? 'Record' : 'Trim take'}
+        </span>
         <button
           className="recording-close-btn"
-          onClick={() => setIsExpanded(false)}
+          onClick={reset}
+          disabled={status === 'uploading'}
         >
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
             <line x1="18" y1="6" x2="6" y2="18" />
@@ -45,18 +303,118 @@ export function RecordingTile() {
         </button>
       </div>
 
-      <div className="recording-content">
-        <div className="recording-placeholder">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <circle cx="12" cy="12" r="10" />
-            <circle cx="12" cy="12" r="3" fill="currentColor" />
-          </svg>
-          <span>Coming Soon</span>
+      {(status === 'idle' || status === 'recording') && (
+        <div className="recording-content">
+          <div className="recording-live">
+            <span className={`recording-elapsed ${status === 'recording' ? 'active' : ''}`}>
+              {formatTime(elapsed)}
+            </span>
+            <div className="recording-meter">
+              <div className="recording-meter-fill" ref={meterRef} />
+            </div>
+          </div>
         </div>
-      </div>
+      )}
+
+      {(status === 'review' || status === 'uploading') && recordedBuffer && (
+        <div className="recording-review">
+          <canvas ref={canvasRef} className="recording-waveform" width={300} height={60} />
+          <div className="recording-trim">
+            <label>
+              <span>Start</span>
+              <input
+                type="range"
+                min="0"
+                max={recordedBuffer.duration}
+                step="0.01"
+                value={trimStart}
+                onChange={(e) => setTrimStart(Math.min(Number(e.target.value), trimEnd - 0.05))}
+              />
+              <span className="value">{formatTime(trimStart)}</span>
+            </label>
+            <label>
+              <span>End</span>
+              <input
+                type="range"
+                min="0"
+                max={recordedBuffer.duration}
+                step="0.01"
+                value={trimEnd}
+                onChange={(e) => setTrimEnd(Math.max(Number(e.target.value), trimStart + 0.05))}
+              />
+              <span className="value">{formatTime(trimEnd)}</span>
+            </label>
+          </div>
+          <input
+            type="text"
+            className="recording-name-input"
+            placeholder="Sample name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            disabled={status === 'uploading'}
+          />
+        </div>
+      )}
+
+      {error && <div className="recording-error">{error}</div>}
 
       <div className="recording-footer">
-        <span className="recording-hint">Record audio directly</span>
+        {status === 'idle' && (
+          <button className="recording-action-btn arm" onClick={startRecording} title="Start recording">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <circle cx="12" cy="12" r="7" />
+            </svg>
+          </button>
+        )}
+        {status === 'recording' && (
+          <button className="recording-action-btn stop" onClick={stopRecording} title="Stop recording">
+            <svg viewBox="0 0 24 24" fill="currentColor">
+              <rect x="6" y="6" width="12" height="12" rx="2" />
+            </svg>
+          </button>
+        )}
+        {(status === 'review' || status === 'uploading') && (
+          <>
+            <button
+              className="recording-action-btn"
+              onClick={() => {
+                setRecordedBuffer(null);
+                setStatus('idle');
+              }}
+              disabled={status === 'uploading'}
+              title="Discard and record again"
+            >
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <polyline points="1 4 1 10 7 10" />
+                <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10" />
+              </svg>
+            </button>
+            <button
+              className="recording-action-btn"
+              onClick={togglePreview}
+              disabled={status === 'uploading'}
+              title="Preview selection"
+            >
+              <svg viewBox="0 0 24 24" fill="currentColor">
+                <polygon points="6,4 20,12 6,20" />
+              </svg>
+            </button>
+            <button
+              className="recording-action-btn save"
+              onClick={saveRecording}
+              disabled={status === 'uploading'}
+              title="Save as sample"
+            >
+              {status === 'uploading' ? (
+                <span className="loading-spinner small" />
+              ) : (
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <polyline points="20 6 9 17 4 12" />
+                </svg>
+              )}
+            </button>
+          </>
+        )}
       </div>
     </div>
   );
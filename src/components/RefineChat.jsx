@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { apiFetch } from '../api';
+
+// Conversational AI edits for a tile. Every version of the code is kept in
+// sequence.revisions ([{ code, request }], request is null for the original
+// and for manual edits) and sequence.revisionIndex points at the one in use.
+// Both are saved along with the tile's code (see handleModalCodeChange in App).
+export function RefineChat({ sequence, code, onRevisionChange }) {
+  const [request, setRequest] = useState('');
+  const [isRefining, setIsRefining] = useState(false);
+  const [error, setError] = useState(null);
+
+  // The code the tile started with counts as the first revision
+  const revisions = sequence.revisions?.length
+    ? sequence.revisions
+    : [{ code: sequence.code, request: null }];
+  const revisionIndex = sequence.revisionIndex ?? revisions.length - 1;
+
+  // Keep hand edits made since the current revision as a revision of their own
+  const withManualEdit = () => {
+    if (code === revisions[revisionIndex]?.code) {
+      return { base: revisions, index: revisionIndex };
+    }
+    const base = [...revisions, { code, request: null }];
+    return { base, index: base.length - 1 };
+  };
+
+  const handleRefine = async (e) => {
+    e.preventDefault();
+    if (!request.trim() || isRefining) return;
+
+    setIsRefining(true);
+    setError(null);
+
+    const { base, index } = withManualEdit();
+    const history = base
+      .slice(0, index + 1)
+      .filter(revision => revision.request)
+      .map(({ request, code }) => ({ request, code }));
+
+    try {
+      const res = await apiFetch('/refine', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ code, request: request.trim(), history })
+      });
+      const data = await res.json();
+
+      if (data.error) {
+        setError(data.error);
+      } else {
+        const newRevisions = [...base, { code: data.code, request: request.trim() }];
+        onRevisionChange(data.code, { revisions: newRevisions, revisionIndex: newRevisions.length - 1 });
+        setRequest('');
+      }
+    } catch (err) {
+      console.error('Refine failed:', err);
+      setError('Failed to refine. Is the server running?');
+    } finally {
+      setIsRefining(false);
+    }
+  };
+
+  // Switch the tile to another revision
+  const goToRevision = (target) => {
+    const { base } = withManualEdit();
+    if (target < 0 || target >= base.length) return;
+    onRevisionChange(base[target].code, { revisions: base, revisionIndex: target });
+  };
+
+  const revisionLabel = (revision, i) => {
+    if (revision.request) return revision.request;
+    return i === 0 ? 'Original' : 'Manual edit';
+  };
+
+  return (
+    <div className="refine-chat">
+      <div className="modal-section-header">
+        <span>Refine with AI</span>
+        {revisions.length > 1 && (
+          <div className="refine-nav">
+            <button
+              onClick={() => goToRevision(revisionIndex - 1)}
+              disabled={revisionIndex === 0 || isRefining}
+              title="Previous revision"
+            >
+              &lsaquo;
+            </button>
+            <span>{revisionIndex + 1} / {revisions.length}</span>
+            <button
+              onClick={() => goToRevision(revisionIndex + 1)}
+              disabled={revisionIndex === revisions.length - 1 || isRefining}
+              title="Next revision"
+            >
+              &rsaquo;
+            </button>
+          </div>
+        )}
+      </div>
+
+      {revisions.length > 1 && (
+        <ol className="refine-history">
+          {revisions.map((revision, i) => (
+            <li
+              key={i}
+              className={`refine-turn ${i === revisionIndex ? 'current' : ''} ${revision.request ? '' : 'system'}`}
+              onClick={() => !isRefining && goToRevision(i)}
+            >
+              {revisionLabel(revision, i)}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      <form className="refine-form" onSubmit={handleRefine}>
+        <input
+          type="text"
+          placeholder='e.g. "make the hats swing more" or "darker bass"'
+          value={request}
+          onChange={(e) => setRequest(e.target.value)}
+          disabled={isRefining}
+        />
+        <button type="submit" disabled={!request.trim() || isRefining}>
+          {isRefining ? <span className="loading-spinner small" /> : 'Refine'}
+        </button>
+      </form>
+
+      {error && <div className="refine-error">{error}</div>}
+    </div>
+  );
+}
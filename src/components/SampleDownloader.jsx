@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
+import { API_URL, apiFetch } from '../api';
+import { downloadSampleJob } from '../downloads';
 
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
 const BASE_URL = API_URL.replace('/api', ''); // Base URL without /api suffix
 
 export function SampleDownloader({ onSampleDownloaded }) {
@@ -9,6 +10,7 @@ export function SampleDownloader({ onSampleDownloaded }) {
   const [samples, setSamples] = useState([]);
   const [loading, setLoading] = useState(false);
   const [downloading, setDownloading] = useState(false);
+  const [job, setJob] = useState(null);
   const [error, setError] = useState(null);
   const [startTime, setStartTime] = useState('');
   const [endTime, setEndTime] = useState('');
@@ -21,7 +23,7 @@ export function SampleDownloader({ onSampleDownloaded }) {
 
   const fetchSamples = async () => {
     try {
-      const res = await fetch(`${API_URL}/samples`);
+      const res = await apiFetch('/samples');
       const data = await res.json();
       setSamples(data.samples || []);
     } catch (err) {
@@ -37,7 +39,7 @@ export function SampleDownloader({ onSampleDownloaded }) {
     setInfo(null);
 
     try {
-      const res = await fetch(`${API_URL}/info`, {
+      const res = await apiFetch('/info', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ url })
@@ -64,42 +66,35 @@ export function SampleDownloader({ onSampleDownloaded }) {
     setError(null);
 
     try {
-      const res = await fetch(`${API_URL}/download`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          url,
-          startTime: startTime || undefined,
-          endTime: endTime || undefined,
-          filename: customName || undefined
-        })
-      });
-      const data = await res.json();
-
-      if (data.error) {
-        setError(data.error);
-      } else {
-        // Refresh samples list
-        await fetchSamples();
-        // Notify parent
-        onSampleDownloaded?.(data);
-        // Clear form
-        setUrl('');
-        setInfo(null);
-        setStartTime('');
-        setEndTime('');
-        setCustomName('');
-      }
+      const data = await downloadSampleJob({
+        url,
+        title: info?.title,
+        startTime: startTime || undefined,
+        endTime: endTime || undefined,
+        filename: customName || undefined
+      }, { onProgress: setJob });
+
+      // Refresh samples list
+      await fetchSamples();
+      // Notify parent
+      onSampleDownloaded?.({ success: true, ...data });
+      // Clear form
+      setUrl('');
+      setInfo(null);
+      setStartTime('');
+      setEndTime('');
+      setCustomName('');
     } catch (err) {
-      setError('Failed to download. Is the server running?');
+      setError(err.message || 'Failed to download. Is the server running?');
     } finally {
+      setJob(null);
       setDownloading(false);
     }
   };
 
   const deleteSample = async (filename) => {
     try {
-      await fetch(`${API_URL}/samples/${filename}`, { method: 'DELETE' });
+      await apiFetch(`/samples/${filename}`, { method: 'DELETE' });
       await fetchSamples();
     } catch (err) {
       console.error('Failed to delete sample:', err);
@@ -198,7 +193,7 @@ export function SampleDownloader({ onSampleDownloaded }) {
             disabled={downloading}
             className="download-btn"
           >
-            {downloading ? 'Downloading...' : 'Download Sample'}
+            {downloading ? `Downloading${job ? ` ${Math.round(job.progress)}%` : '...'}` : 'Download Sample'}
           </button>
         </div>
       )}
@@ -229,7 +224,8 @@ export function SampleDownloader({ onSampleDownloaded }) {
                   <button
                     className="copy-sample-btn"
                     onClick={() => {
-                      navigator.clipboard.writeText(`samples("${BASE_URL}${sample.path}")`);
+                      // Loads the whole library, here or on strudel.cc
+                      navigator.clipboard.writeText(`samples("${BASE_URL}/samples/strudel.json")\ns("${sample.sound}")`);
                     }}
                     title="Copy Strudel code"
                   >
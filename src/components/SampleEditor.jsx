@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { reloadSampleManifest } from '../useStrudel';
+import { DEFAULT_MASTER_BPM, loopBars } from '../tempo';
+import { WaveformEditor } from './WaveformEditor';
+
+const GRID_SIZES = [2, 4, 8, 16, 32];
+const LOOP_BARS = [0.25, 0.5, 1, 2, 3, 4, 6, 8, 12, 16, 32];
+
+// e.g. "1/4 bar", "1 bar", "8 bars"
+const formatBars = (bars) => (bars < 1 ? `1/${Math.round(1 / bars)} bar` : `${bars} bar${bars === 1 ? '' : 's'}`);
+
+// Chop points cutting `duration` seconds into `count` equal slices
+const gridPoints = (duration, count) =>
+  Array.from({ length: count - 1 }, (_, i) => Number((((i + 1) * duration) / count).toFixed(4)));
+
+const samePoints = (a, b) => a.length === b.length && a.every((point, i) => point === b[i]);
+
+// Waveform editor for a sample tile plus chopping: the sample is cut into
+// slices that patterns play as numbered variants of its sound, s("name:3"),
+// from 0 on, while the whole sample moves to a sound of its own
+// Chop points are edited on the waveform and only reach patterns once saved
+// Tempo sync loops the region over whole bars of the master tempo: it's sped up,
+// or stretched when keeping pitch, from its original bpm (the detected one by default)
+export function SampleEditor({
+  filename,
+  sound,
+  syncTempo = false,
+  originalBpm = null,
+  bars = null,
+  preservePitch = false,
+  masterBpm = DEFAULT_MASTER_BPM,
+  ...waveformProps
+}) {
+  const [sample, setSample] = useState(null); // the sample's library listing
+  const [chops, setChops] = useState([]);
+  const [mode, setMode] = useState('grid');
+  const [gridSize, setGridSize] = useState(8);
+  const [sensitivity, setSensitivity] = useState(50);
+  const [busy, setBusy] = useState(null); // 'detecting' | 'saving'
+  const [error, setError] = useState(null);
+  const [bpmDraft, setBpmDraft] = useState(null); // original bpm being typed
+
+  const saved = sample?.slices || [];
+  const isDirty = !samePoints(chops, saved);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSample(null);
+    setChops([]);
+    apiFetch('/samples')
+      .then(res => res.json())
+      .then(data => {
+        const found = data.samples?.find(s => s.name === filename);
+        if (cancelled || !found) return;
+        setSample(found);
+        setChops(found.slices || []);
+      })
+      .catch(err => console.error('Failed to load sample:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [filename]);
+
+  const detectTransients = async () => {
+    setBusy('detecting');
+    setError(null);
+    try {
+      const res = await apiFetch(`/samples/${encodeURIComponent(filename)}/transients?sensitivity=${sensitivity / 100}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error);
+        return;
+      }
+      setChops(data.points);
+      if (data.points.length === 0) setError('No transients found - try a higher sensitivity');
+    } catch {
+      setError('Failed to detect transients');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const saveSlices = async () => {
+    setBusy('saving');
+    setError(null);
+    try {
+      const res = await apiFetch(`/samples/${encodeURIComponent(filename)}/slices`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ points: chops })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error);
+        return;
+      }
+      setSample(data.sample);
+      setChops(data.sample.slices);
+      reloadSampleManifest();
+    } catch {
+      setError('Failed to save slices');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const sliceCount = saved.length + 1;
+
+  // What the tempo-synced loop works out to, as playDirectAudio does it
+  const sourceBpm = originalBpm ?? sample?.bpm ?? null;
+  const regionSeconds = (waveformProps.endTime ?? sample?.duration ?? 0) - (waveformProps.startTime ?? 0);
+  const autoBars = regionSeconds > 0 ? loopBars(regionSeconds, sourceBpm ?? masterBpm) : 1;
+  const loopLength = bars ?? autoBars;
+  const speed = regionSeconds > 0 ? regionSeconds / ((loopLength * 240) / masterBpm) : 1;
+
+  // An empty field goes back to the detected bpm
+  const saveOriginalBpm = (e) => {
+    e.preventDefault();
+    if (bpmDraft === null) return;
+    const bpm = Number(bpmDraft);
+    setBpmDraft(null);
+    const value = bpmDraft.trim() && bpm > 0 && bpm <= 400 ? Math.round(bpm * 100) / 100 : null;
+    if (value !== originalBpm) waveformProps.onChange?.({ originalBpm: value });
+  };
+
+  return (
+    <div className="sample-editor">
+      <WaveformEditor
+        {...waveformProps}
+        bpm={sourceBpm ?? waveformProps.bpm}
+        chops={sample ? chops : null}
+        onChopsChange={setChops}
+      />
+
+      {sample && (
+        <div className="sample-chopper sample-tempo">
+          <div className="waveform-toolbar">
+            <label className="waveform-toggle">
+              <input
+                type="checkbox"
+                checked={syncTempo}
+                onChange={(e) => waveformProps.onChange?.({ syncTempo: e.target.checked })}
+              />
+              Sync to master
+            </label>
+            <span className="waveform-divider" />
+            <span className="waveform-unit">Original</span>
+            <form onSubmit={saveOriginalBpm}>
+              <input
+                type="number"
+                className="waveform-bpm"
+                min={20}
+                max={400}
+                placeholder={sample.bpm ? String(sample.bpm) : 'bpm'}
+                title="The sample's own tempo; leave empty to use the detected one"
+                value={bpmDraft ?? originalBpm ?? ''}
+                onChange={(e) => setBpmDraft(e.target.value)}
+                onBlur={saveOriginalBpm}
+              />
+            </form>
+            <span className="waveform-unit">BPM</span>
+            <select
+              className="sample-chopper-select"
+              value={bars ?? ''}
+              onChange={(e) => waveformProps.onChange?.({ bars: e.target.value ? Number(e.target.value) : null })}
+            >
+              <option value="">Auto ({formatBars(autoBars)})</option>
+              {LOOP_BARS.map(count => (
+                <option key={count} value={count}>{formatBars(count)}</option>
+              ))}
+            </select>
+            <label className="waveform-toggle" title="Time-stretch instead of speeding up, so the pitch stays the same">
+              <input
+                type="checkbox"
+                checked={preservePitch}
+                onChange={(e) => waveformProps.onChange?.({ preservePitch: e.target.checked })}
+              />
+              Keep pitch
+            </label>
+          </div>
+          <div className="sample-chopper-hint">
+            {syncTempo
+              ? `Fills ${formatBars(loopLength)} at ${masterBpm} BPM, starting on a bar: ${speed.toFixed(2)}x speed${preservePitch ? ', same pitch' : ''}`
+              : 'Plays at its own speed - sync it to loop in time with the master tempo'}
+            {syncTempo && !sourceBpm && bars === null && ' - set the original BPM for a better fit'}
+          </div>
+        </div>
+      )}
+
+      {sample && (
+        <div className="sample-chopper">
+          <div className="waveform-toolbar">
+            <span className="sample-chopper-title">Chop</span>
+            <select className="sample-chopper-select" value={mode} onChange={(e) => setMode(e.target.value)}>
+              <option value="grid">Equal slices</option>
+              <option value="transients">At transients</option>
+            </select>
+            {mode === 'grid' ? (
+              <>
+                <select
+                  className="sample-chopper-select"
+                  value={gridSize}
+                  onChange={(e) => setGridSize(Number(e.target.value))}
+                >
+                  {GRID_SIZES.map(size => (
+                    <option key={size} value={size}>{size} slices</option>
+                  ))}
+                </select>
+                <button
+                  className="waveform-btn"
+                  onClick={() => setChops(gridPoints(sample.duration, gridSize))}
+                  disabled={!sample.duration || !!busy}
+                >
+                  Chop
+                </button>
+              </>
+            ) : (
+              <>
+                <label className="waveform-toggle" title="Higher finds softer hits, and more false ones">
+                  Sensitivity
+                  <input
+                    type="range"
+                    min={0}
+                    max={100}
+                    value={sensitivity}
+                    onChange={(e) => setSensitivity(Number(e.target.value))}
+                  />
+                </label>
+                <span className="waveform-unit">{sensitivity}%</span>
+                <button className="waveform-btn" onClick={detectTransients} disabled={!!busy}>
+                  {busy === 'detecting' ? 'Detecting...' : 'Detect'}
+                </button>
+              </>
+            )}
+            <span className="waveform-divider" />
+            <button className="waveform-btn" onClick={() => setChops([])} disabled={chops.length === 0 || !!busy}>
+              Clear
+            </button>
+            <button className="waveform-btn" onClick={() => setChops(saved)} disabled={!isDirty || !!busy}>
+              Revert
+            </button>
+            <button className="waveform-btn active" onClick={saveSlices} disabled={!isDirty || !!busy}>
+              {busy === 'saving' ? 'Saving...' : 'Save slices'}
+            </button>
+          </div>
+
+          <div className="sample-chopper-hint">
+            {saved.length > 0
+              ? `${sliceCount} slices: s("${sound}:0") to s("${sound}:${sliceCount - 1}"), e.g. s("${sound}:0 ${sound}:${Math.min(3, sliceCount - 1)} ~ ${sound}:${sliceCount - 1}"); whole sample: s("${sample.wholeSound}")`
+              : 'Double-click the waveform to add chop points, or chop it automatically'}
+            {isDirty && ' - unsaved changes'}
+          </div>
+          {error && <div className="waveform-error">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
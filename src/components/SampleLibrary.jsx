@@ -0,0 +1,192 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+import { reloadSampleManifest } from '../useStrudel';
+
+// How often to re-check while the server is still analysing samples
+const ANALYSIS_POLL_MS = 2000;
+
+const formatDuration = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// e.g. "0:08 · 128 BPM · A minor · 44.1 kHz stereo"
+const describeSample = (sample) => {
+  if (sample.analysis === 'pending') return 'Analysing...';
+  const channels = { 1: 'mono', 2: 'stereo' }[sample.channels] || (sample.channels && `${sample.channels} ch`);
+  return [
+    sample.duration && formatDuration(sample.duration),
+    sample.bpm && `${sample.bpm} BPM`,
+    sample.key,
+    [sample.sampleRate && `${sample.sampleRate / 1000} kHz`, channels].filter(Boolean).join(' ')
+  ].filter(Boolean).join(' · ');
+};
+
+const fetchLibrary = async () => {
+  const res = await apiFetch('/samples');
+  const data = await res.json();
+  return data.samples;
+};
+
+// Every word of the query has to appear in the name, source, bank, key, bpm or tags
+const matchesFilter = (sample, query) => {
+  const text = [
+    sample.name.replace(/_/g, ' '),
+    sample.source?.title,
+    sample.bank,
+    sample.key,
+    sample.bpm && `${sample.bpm}bpm`,
+    ...(sample.tags || [])
+  ].filter(Boolean).join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+};
+
+// Saved samples with their analysed metadata and tags, filterable by text
+// Starts from the list the app already has and refreshes from the server
+export function SampleLibrary({ savedSamples = [] }) {
+  const [samples, setSamples] = useState(savedSamples);
+  const [filter, setFilter] = useState('');
+  const [tagDrafts, setTagDrafts] = useState({}); // sample name -> tag being typed
+  const [bankDrafts, setBankDrafts] = useState({}); // sample name -> bank being edited
+  const [error, setError] = useState(null);
+
+  const analysing = samples.some(sample => sample.analysis === 'pending');
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchLibrary()
+      .then(library => {
+        if (!cancelled && library) setSamples(library);
+      })
+      .catch(err => console.error('Failed to load sample library:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Pick up bpm and key once the server has worked them out
+  useEffect(() => {
+    if (!analysing) return;
+    const timer = setTimeout(() => {
+      fetchLibrary()
+        .then(library => library && setSamples(library))
+        .catch(err => console.error('Failed to refresh sample library:', err));
+    }, ANALYSIS_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [analysing, samples]);
+
+  const saveTags = async (sample, tags) => {
+    setError(null);
+    try {
+      const res = await apiFetch(`/samples/${encodeURIComponent(sample.name)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tags })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error);
+        return;
+      }
+      setSamples(prev => prev.map(s => (s.name === sample.name ? data.sample : s)));
+    } catch {
+      setError('Failed to save tags');
+    }
+  };
+
+  // Other samples' variant numbers can change too, so the whole list is reloaded
+  const saveBank = async (e, sample) => {
+    e.preventDefault();
+    const bank = bankDrafts[sample.name];
+    setBankDrafts(prev => ({ ...prev, [sample.name]: undefined }));
+    if (bank === undefined || bank.trim() === (sample.bank || '')) return;
+
+    setError(null);
+    try {
+      const res = await apiFetch(`/samples/${encodeURIComponent(sample.name)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ bank: bank.trim() || null })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.error);
+        return;
+      }
+      setSamples(await fetchLibrary());
+      reloadSampleManifest();
+    } catch {
+      setError('Failed to save bank');
+    }
+  };
+
+  const addTag = (e, sample) => {
+    e.preventDefault();
+    const tag = (tagDrafts[sample.name] || '').trim();
+    if (!tag) return;
+    setTagDrafts(prev => ({ ...prev, [sample.name]: '' }));
+    saveTags(sample, [...(sample.tags || []), tag]);
+  };
+
+  const visible = samples.filter(sample => matchesFilter(sample, filter));
+
+  return (
+    <div className="sample-dropdown" onClick={(e) => e.stopPropagation()}>
+      <div className="sample-dropdown-header">Saved Samples</div>
+      <input
+        className="sample-filter"
+        placeholder="Filter by name, tag, key, bpm..."
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        autoFocus
+      />
+      {error && <div className="sample-library-error">{error}</div>}
+      {visible.length === 0 && <div className="sample-dropdown-empty">No matching samples</div>}
+      {visible.map(sample => (
+        <div key={sample.name} className="sample-dropdown-item">
+          <span className="sample-dropdown-name" title={sample.source?.title || sample.name}>
+            {sample.name.replace(/\.[^.]+$/, '').replace(/_/g, ' ')}
+          </span>
+          <span className="sample-dropdown-meta">
+            {[`s("${sample.bank ? `${sample.bank}:${sample.variant}` : sample.sound}")`, describeSample(sample)]
+              .filter(Boolean)
+              .join(' · ')}
+          </span>
+          <div className="sample-tags">
+            {(sample.tags || []).map(tag => (
+              <span key={tag} className="sample-tag">
+                <button className="sample-tag-label" onClick={() => setFilter(tag)} title="Show samples with this tag">
+                  {tag}
+                </button>
+                <button
+                  className="sample-tag-remove"
+                  onClick={() => saveTags(sample, sample.tags.filter(t => t !== tag))}
+                  title="Remove tag"
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+            <form className="sample-tag-form sample-bank-form" onSubmit={(e) => saveBank(e, sample)}>
+              <input
+                placeholder="bank"
+                title="Group samples into a bank to play them as bank:0, bank:1..."
+                value={bankDrafts[sample.name] ?? sample.bank ?? ''}
+                onChange={(e) => setBankDrafts(prev => ({ ...prev, [sample.name]: e.target.value }))}
+                onBlur={(e) => saveBank(e, sample)}
+              />
+            </form>
+            <form className="sample-tag-form" onSubmit={(e) => addTag(e, sample)}>
+              <input
+                placeholder="+ tag"
+                value={tagDrafts[sample.name] || ''}
+                onChange={(e) => setTagDrafts(prev => ({ ...prev, [sample.name]: e.target.value }))}
+              />
+            </form>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -1,6 +1,8 @@
 import React, { useState, useRef, useEffect } from 'react';
-
-const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001/api';
+import { apiFetch } from '../api';
+import { downloadSampleJob } from '../downloads';
+import { SampleLibrary } from './SampleLibrary';
+import { AUDIO_FILE_EXTENSIONS, uploadSampleFiles } from '../uploads';
 
 export function SampleTile({ onSampleAdded, savedSamples = [] }) {
   const [isExpanded, setIsExpanded] = useState(false);
@@ -9,11 +11,14 @@ export function SampleTile({ onSampleAdded, savedSamples = [] }) {
   const [info, setInfo] = useState(null);
   const [loading, setLoading] = useState(false);
   const [downloading, setDownloading] = useState(false);
+  const [job, setJob] = useState(null); // Download job while it's queued or running
   const [error, setError] = useState(null);
   const [startTime, setStartTime] = useState('');
   const [endTime, setEndTime] = useState('');
   const inputRef = useRef(null);
   const dropdownRef = useRef(null);
+  const abortRef = useRef(null);
+  const fileInputRef = useRef(null);
 
   useEffect(() => {
     if (isExpanded && inputRef.current) {
@@ -21,6 +26,9 @@ export function SampleTile({ onSampleAdded, savedSamples = [] }) {
     }
   }, [isExpanded]);
 
+  // Cancel a running download if the tile goes away
+  useEffect(() => () => abortRef.current?.abort(), []);
+
   // Close dropdown when clicking outside
   useEffect(() => {
     const handleClickOutside = (e) => {
@@ -41,7 +49,7 @@ export function SampleTile({ onSampleAdded, savedSamples = [] }) {
     setInfo(null);
 
     try {
-      const res = await fetch(`${API_URL}/info`, {
+      const res = await apiFetch('/info', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ url })
@@ -70,48 +78,91 @@ export function SampleTile({ onSampleAdded, savedSamples = [] }) {
         .substring(0, 30)
         .replace(/ /g, '_');
 
-      const res = await fetch(`${API_URL}/download`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          url,
-          startTime: startTime || undefined,
-          endTime: endTime || undefined,
-          filename: safeName
-        })
+      const controller = new AbortController();
+      abortRef.current = controller;
+      const data = await downloadSampleJob({
+        url,
+        title: info?.title,
+        startTime: startTime || undefined,
+        endTime: endTime || undefined,
+        filename: safeName
+      }, { onProgress: setJob, signal: controller.signal });
+
+      onSampleAdded?.({
+        name: data.filename,
+        path: data.path,
+        size: data.size,
+        sound: data.sound
       });
-      const data = await res.json();
+      setUrl('');
+      setInfo(null);
+      setStartTime('');
+      setEndTime('');
+      setIsExpanded(false);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        setError(err.message || 'Download failed');
+      }
+    } finally {
+      abortRef.current = null;
+      setJob(null);
+      setDownloading(false);
+    }
+  };
 
-      if (data.error) {
-        setError(data.error);
+  // Upload files picked from disk; each one becomes its own sample tile
+  const handleFilesPicked = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setDownloading(true);
+    setError(null);
+    try {
+      const { samples, errors } = await uploadSampleFiles(files);
+      samples.forEach(sample => onSampleAdded?.({
+        name: sample.filename,
+        path: sample.path,
+        size: sample.size,
+        sound: sample.sound
+      }));
+      if (errors.length > 0) {
+        setError(errors.map(err => `${err.name}: ${err.error}`).join('\n'));
       } else {
-        onSampleAdded?.({
-          name: data.filename,
-          path: data.path,
-          size: data.size
-        });
-        setUrl('');
-        setInfo(null);
-        setStartTime('');
-        setEndTime('');
         setIsExpanded(false);
       }
     } catch (err) {
-      setError('Download failed');
+      setError(err.message || 'Upload failed');
     } finally {
       setDownloading(false);
     }
   };
 
+  // Stops the download on the server too
+  const cancelDownload = () => {
+    abortRef.current?.abort();
+  };
+
+  const close = () => {
+    cancelDownload();
+    setIsExpanded(false);
+    setUrl('');
+    setInfo(null);
+    setError(null);
+  };
+
+  const jobLabel = (job) => {
+    if (job.status === 'queued') return job.position > 1 ? `Queued (${job.position} in line)` : 'Queued';
+    if (job.stage === 'converting') return 'Converting...';
+    return `Downloading ${Math.round(job.progress)}%`;
+  };
+
   const handleKeyDown = (e) => {
     if (e.key === 'Enter' && !info) {
       fetchInfo();
     }
     if (e.key === 'Escape') {
-      setIsExpanded(false);
-      setUrl('');
-      setInfo(null);
-      setError(null);
+      close();
     }
   };
 
@@ -144,7 +195,7 @@ export function SampleTile({ onSampleAdded, savedSamples = [] }) {
           </div>
           <div className="sample-add-text">
             <span className="sample-label">Add Sample</span>
-            <span className="sample-hint">from URL</span>
+            <span className="sample-hint">from URL or file</span>
           </div>
         </div>
         {savedSamples.length > 0 && (
@@ -161,18 +212,7 @@ export function SampleTile({ onSampleAdded, savedSamples = [] }) {
             <span className="sample-count">{savedSamples.length}</span>
           </button>
         )}
-        {showDropdown && (
-          <div className="sample-dropdown">
-            <div className="sample-dropdown-header">Saved Samples</div>
-            {savedSamples.map((sample, idx) => (
-              <div key={idx} className="sample-dropdown-item">
-                <span className="sample-dropdown-name">
-                  {sample.name.replace(/\.[^.]+$/, '').replace(/_/g, ' ')}
-                </span>
-              </div>
-            ))}
-          </div>
-        )}
+        {showDropdown && <SampleLibrary savedSamples={savedSamples} />}
       </div>
     );
   }
@@ -185,15 +225,10 @@ export function SampleTile({ onSampleAdded, savedSamples = [] }) {
       <div className="card-indicator" style={{ opacity: 1 }} />
 
       <div className="sample-header">
-        <span className="sample-label">{info ? info.title?.substring(0, 20) + '...' : 'Add from URL'}</span>
+        <span className="sample-label">{info ? info.title?.substring(0, 20) + '...' : 'Add from URL or file'}</span>
         <button
           className="sample-close-btn"
-          onClick={() => {
-            setIsExpanded(false);
-            setUrl('');
-            setInfo(null);
-            setError(null);
-          }}
+          onClick={close}
         >
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
             <line x1="18" y1="6" x2="6" y2="18" />
@@ -212,12 +247,28 @@ export function SampleTile({ onSampleAdded, savedSamples = [] }) {
             value={url}
             onChange={(e) => setUrl(e.target.value)}
             onKeyDown={handleKeyDown}
-            disabled={loading}
+            disabled={loading || downloading}
           />
           <span className="sample-url-hint">
-            {loading ? 'Fetching...' : 'Press Enter'}
+            {loading ? 'Fetching...' : downloading ? 'Uploading...' : 'Press Enter'}
+            {!loading && !downloading && (
+              <>
+                {' or '}
+                <button className="sample-file-btn" onClick={() => fileInputRef.current?.click()}>
+                  choose files
+                </button>
+              </>
+            )}
           </span>
-          {loading && <span className="loading-spinner small" />}
+          {(loading || downloading) && <span className="loading-spinner small" />}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={AUDIO_FILE_EXTENSIONS.join(',')}
+            multiple
+            hidden
+            onChange={handleFilesPicked}
+          />
         </div>
       ) : (
         <div className="sample-info" onKeyDown={handleTimeInputKeyDown}>
@@ -244,7 +295,22 @@ export function SampleTile({ onSampleAdded, savedSamples = [] }) {
 
       {error && <div className="sample-error">{error}</div>}
 
-      {info && (
+      {job && (
+        <div className="sample-progress">
+          <div className="sample-progress-track">
+            <div
+              className={`sample-progress-fill ${job.status === 'queued' ? 'queued' : ''}`}
+              style={{ width: `${job.progress}%` }}
+            />
+          </div>
+          <div className="sample-progress-row">
+            <span className="sample-hint">{jobLabel(job)}</span>
+            <button className="sample-cancel-btn" onClick={cancelDownload}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      {info && !job && (
         <div className="sample-footer">
           <span className="sample-hint">Set time range (optional)</span>
           <button
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+import { apiFetch } from '../api';
+
+export function SceneBar({ sequences, activeTrackIds, trackSettings, onLaunch }) {
+  const [scenes, setScenes] = useState([]);
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  // Load saved scenes on mount
+  useEffect(() => {
+    const loadScenes = async () => {
+      try {
+        const res = await apiFetch('/scenes');
+        const data = await res.json();
+        setScenes(data.scenes || []);
+      } catch (err) {
+        console.error('Failed to load scenes:', err);
+      }
+    };
+    loadScenes();
+  }, []);
+
+  // Capture the currently playing tracks and their settings as a new scene
+  const handleCapture = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+
+    const trackIds = Array.from(activeTrackIds);
+    const scene = {
+      name: name.trim(),
+      trackIds,
+      trackSettings: Object.fromEntries(trackIds.map(id => [id, trackSettings[id]]))
+    };
+
+    setError(null);
+    try {
+      const res = await apiFetch('/scenes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ scene })
+      });
+      const data = await res.json();
+      if (data.error) {
+        throw new Error(data.error);
+      }
+      setScenes(prev => [...prev, data.scene]);
+      setIsNaming(false);
+      setName('');
+    } catch (err) {
+      console.error('Failed to save scene:', err);
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (e, sceneId) => {
+    e.stopPropagation();
+    try {
+      await apiFetch(`/scenes/${sceneId}`, { method: 'DELETE' });
+      setScenes(prev => prev.filter(s => s.id !== sceneId));
+    } catch (err) {
+      console.error('Failed to delete scene:', err);
+    }
+  };
+
+  // A scene is live when exactly its tracks are playing
+  const isSceneLive = (scene) =>
+    scene.trackIds.length === activeTrackIds.size &&
+    scene.trackIds.every(id => activeTrackIds.has(id));
+
+  if (scenes.length === 0 && activeTrackIds.size === 0) return null;
+
+  return (
+    <div className="scene-bar">
+      <span className="scene-bar-label">Scenes</span>
+
+      {scenes.map(scene => (
+        <button
+          key={scene.id}
+          className={`scene-btn ${isSceneLive(scene) ? 'live' : ''}`}
+          onClick={() => onLaunch(scene)}
+          title={`Launch ${scene.trackIds.length} track${scene.trackIds.length === 1 ? '' : 's'}`}
+        >
+          <span className="scene-dots">
+            {scene.trackIds.map(id => {
+              const seq = sequences.find(s => s.id === id);
+              return seq ? <span key={id} style={{ background: seq.color }} /> : null;
+            })}
+          </span>
+          <span className="scene-name">{scene.name}</span>
+          <span
+            className="scene-delete"
+            onClick={(e) => handleDelete(e, scene.id)}
+            title="Delete scene"
+          >
+            &times;
+          </span>
+        </button>
+      ))}
+
+      {isNaming ? (
+        <form className="scene-name-form" onSubmit={handleCapture}>
+          <input
+            autoFocus
+            type="text"
+            placeholder="Scene name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && setIsNaming(false)}
+          />
+          <button type="submit" className="scene-btn" disabled={!name.trim()}>Save</button>
+        </form>
+      ) : (
+        <button
+          className="scene-btn scene-capture"
+          onClick={() => {
+            setName(`Scene ${scenes.length + 1}`);
+            setIsNaming(true);
+          }}
+          disabled={activeTrackIds.size === 0}
+          title="Save the playing tracks as a scene"
+        >
+          + Scene
+        </button>
+      )}
+
+      {error && <span className="scene-error">{error}</span>}
+    </div>
+  );
+}
@@ -1,10 +1,12 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { createPortal } from 'react-dom';
+import { TEMPO_MODES } from '../tempo';
 
 export function SequenceCard({
   sequence,
   isActive,
   isPlaying,
+  queued, // 'start' | 'stop' while waiting for the launch boundary
   onClick,
   onCopy,
   onDelete,
@@ -13,6 +15,8 @@ export function SequenceCard({
   reverb,
   onVolumeChange,
   onReverbChange,
+  tempoMode,
+  onTempoModeChange,
   // Sample-specific props
   playbackRate,
   loop,
@@ -158,7 +162,7 @@ export function SequenceCard({
 
   return (
     <div
-      className={`sequence-card ${isActive ? 'active' : ''} ${isPlaying ? 'playing' : ''}`}
+      className={`sequence-card ${isActive ? 'active' : ''} ${isPlaying ? 'playing' : ''} ${queued ? `queued queued-${queued}` : ''}`}
       style={{
         '--accent-color': sequence.color
       }}
@@ -179,7 +183,10 @@ export function SequenceCard({
       >
         <div className="card-title-row">
           <h3>{sequence.name}</h3>
-          {isPlaying && (
+          {queued && (
+            <span className="queued-badge">{queued === 'start' ? 'Queued' : 'Stopping'}</span>
+          )}
+          {isPlaying && !queued && (
             <div className="playing-indicator">
               <span></span>
               <span></span>
@@ -283,6 +290,24 @@ export function SequenceCard({
                     />
                   </div>
                 )}
+                {!sequence.isSample && onTempoModeChange && (
+                  <div className="menu-slider">
+                    <label>
+                      <span>Tempo</span>
+                      <span className="value">{sequence.bpm} BPM</span>
+                    </label>
+                    <select
+                      className="menu-select"
+                      value={tempoMode}
+                      onChange={(e) => onTempoModeChange(sequence.id, e.target.value)}
+                      onClick={(e) => e.stopPropagation()}
+                    >
+                      {TEMPO_MODES.map(mode => (
+                        <option key={mode.id} value={mode.id}>{mode.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
 
                 {/* Sample-specific controls */}
                 {sequence.isSample && (
@@ -1,4 +1,6 @@
 import React, { useState, useEffect, useMemo } from 'react';
+import { RefineChat } from './RefineChat';
+import { SampleEditor } from './SampleEditor';
 
 // Parameter definitions with min/max/step values
 const PARAM_CONFIG = {
@@ -51,7 +53,7 @@ function updateCodeParameter(code, paramIndex, newValue) {
   return before + newParam + after;
 }
 
-// Parse pattern from Strudel code like s("_smp ~ _smp ~") or s("bd*4")
+// Parse pattern from Strudel code like s("alan_watts ~ alan_watts ~") or s("bd*4")
 function parsePatternFromCode(code, numSteps = 16) {
   // Try to find pattern like s("...") or sound("...")
   const match = code.match(/s\("([^"]+)"\)/);
@@ -99,7 +101,7 @@ function isSimplePattern(code) {
 }
 
 // Generate Strudel pattern code from steps
-function generatePatternCode(steps, sampleName = '_smp') {
+function generatePatternCode(steps, sampleName) {
   const pattern = steps.map(hit => hit ? sampleName : '~').join(' ');
   return `s("${pattern}")`;
 }
@@ -176,7 +178,12 @@ export function SequenceModal({
   isOpen,
   onClose,
   onCodeChange,
-  isPlaying
+  isPlaying,
+  sampleUrl,
+  trackSettings,
+  masterBpm,
+  onSampleSettingsChange,
+  onTogglePlay
 }) {
   const [localCode, setLocalCode] = useState(sequence?.code || '');
   const [params, setParams] = useState([]);
@@ -213,11 +220,11 @@ export function SequenceModal({
             : [...parsedSteps, ...new Array(16 - parsedSteps.length).fill(false)];
           setSteps(normalizedSteps);
           setNumSteps(16);
-          setSoundName(sound || (sequence.isSample ? '_smp' : 'bd'));
+          setSoundName(sound || (sequence.isSample ? sequence.sound : 'bd'));
         } else {
           // Default: play on beat 1
           setSteps([true, ...new Array(15).fill(false)]);
-          setSoundName(sequence.isSample ? '_smp' : 'bd');
+          setSoundName(sequence.isSample ? sequence.sound : 'bd');
         }
 
         // Try to extract loopAt value (for samples)
@@ -229,7 +236,7 @@ export function SequenceModal({
         }
       }
     }
-  }, [sequence?.code, sequence?.isSample]);
+  }, [sequence?.code, sequence?.isSample, sequence?.sound]);
 
   // Extract parameters when code changes (now includes samples!)
   useEffect(() => {
@@ -253,6 +260,12 @@ export function SequenceModal({
     onCodeChange?.(sequence.id, newCode);
   };
 
+  // Code from an AI refinement or a revision picked from the history
+  const handleRevisionChange = (newCode, revisionState) => {
+    setLocalCode(newCode);
+    onCodeChange?.(sequence.id, newCode, revisionState);
+  };
+
   const handleCodeEdit = (e) => {
     const newCode = e.target.value;
     setLocalCode(newCode);
@@ -324,6 +337,27 @@ export function SequenceModal({
         </div>
 
         <div className="modal-body">
+          {isSample && sampleUrl && (
+            <SampleEditor
+              filename={sequence.samplePath.split('/').pop()}
+              sound={sequence.sound}
+              sampleUrl={sampleUrl}
+              startTime={trackSettings?.startTime ?? 0}
+              endTime={trackSettings?.endTime ?? null}
+              loop={trackSettings?.loop ?? false}
+              bpm={sequence.bpm}
+              color={sequence.color}
+              isPlaying={isPlaying}
+              syncTempo={trackSettings?.syncTempo ?? false}
+              originalBpm={trackSettings?.originalBpm ?? null}
+              bars={trackSettings?.bars ?? null}
+              preservePitch={trackSettings?.preservePitch ?? false}
+              masterBpm={masterBpm}
+              onChange={(changes) => onSampleSettingsChange?.(sequence.id, changes)}
+              onTogglePlay={onTogglePlay}
+            />
+          )}
+
           {/* View Mode Toggle - show for samples and simple patterns */}
           {canUseSequencer && (
             <div className="modal-view-toggle">
@@ -463,6 +497,14 @@ export function SequenceModal({
                   </div>
                 )}
               </div>
+
+              {!isSample && (
+                <RefineChat
+                  sequence={sequence}
+                  code={localCode}
+                  onRevisionChange={handleRevisionChange}
+                />
+              )}
             </div>
           )}
         </div>
@@ -1,39 +1,124 @@
 import React, { useRef, useEffect, useState } from 'react';
 
-export function Visualizer({ isPlaying, color = '#8B5CF6' }) {
-  const canvasRef = useRef(null);
-  const animationRef = useRef(null);
-  const [audioContext, setAudioContext] = useState(null);
-  const [analyser, setAnalyser] = useState(null);
+const MODES = [
+  { id: 'spectrum', label: 'Spectrum' },
+  { id: 'scope', label: 'Scope' },
+  { id: 'meters', label: 'Meters' },
+];
+
+// Map FFT bins onto bars with a log frequency scale so bass isn't squashed into one bar
+function drawSpectrum(ctx, analyser, width, height, color) {
+  const data = new Uint8Array(analyser.frequencyBinCount);
+  analyser.getByteFrequencyData(data);
+
+  const barCount = 48;
+  const barWidth = width / barCount;
+  const minBin = 1;
+  const maxBin = data.length - 1;
+
+  for (let i = 0; i < barCount; i++) {
+    const from = Math.floor(minBin * Math.pow(maxBin / minBin, i / barCount));
+    const to = Math.max(from + 1, Math.floor(minBin * Math.pow(maxBin / minBin, (i + 1) / barCount)));
+    let peak = 0;
+    for (let bin = from; bin < to; bin++) {
+      peak = Math.max(peak, data[bin]);
+    }
+    const barHeight = (peak / 255) * height * 0.9;
 
-  useEffect(() => {
-    // Try to get or create audio context and analyser
-    const setupAudio = () => {
-      try {
-        // Check for existing audio context from Strudel
-        const ctx = window.AudioContext || window.webkitAudioContext;
-        if (!ctx) return;
-
-        // Look for Strudel's audio context
-        if (window.getAudioContext) {
-          const strudelCtx = window.getAudioContext();
-          if (strudelCtx) {
-            const analyserNode = strudelCtx.createAnalyser();
-            analyserNode.fftSize = 128;
-            analyserNode.smoothingTimeConstant = 0.8;
-            setAnalyser(analyserNode);
-            setAudioContext(strudelCtx);
-          }
-        }
-      } catch (e) {
-        console.warn('Could not setup visualizer:', e);
-      }
-    };
+    const gradient = ctx.createLinearGradient(0, height - barHeight, 0, height);
+    gradient.addColorStop(0, color);
+    gradient.addColorStop(1, `${color}33`);
 
-    if (isPlaying) {
-      setupAudio();
+    ctx.fillStyle = gradient;
+    ctx.fillRect(i * barWidth + 2, height - barHeight, barWidth - 4, barHeight);
+  }
+}
+
+function drawScope(ctx, analyser, width, height, color) {
+  const data = new Float32Array(analyser.fftSize);
+  analyser.getFloatTimeDomainData(data);
+
+  // Start on a rising zero crossing so the waveform stands still
+  let start = 0;
+  for (let i = 1; i < data.length / 2; i++) {
+    if (data[i - 1] < 0 && data[i] >= 0) {
+      start = i;
+      break;
     }
-  }, [isPlaying]);
+  }
+  const visible = data.length / 2;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i = 0; i < visible; i++) {
+    const x = (i / visible) * width;
+    const y = height / 2 - data[start + i] * height * 0.45;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+  ctx.stroke();
+}
+
+function getLevel(analyser) {
+  const data = new Float32Array(analyser.fftSize);
+  analyser.getFloatTimeDomainData(data);
+  let sum = 0;
+  let peak = 0;
+  for (let i = 0; i < data.length; i++) {
+    sum += data[i] * data[i];
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  return { rms: Math.sqrt(sum / data.length), peak };
+}
+
+// One vertical meter per active track, in the track's color, with peak hold
+function drawMeters(ctx, tracks, getTrackAnalyser, peaks, width, height) {
+  if (tracks.length === 0) return;
+
+  const slot = width / tracks.length;
+  const meterWidth = Math.min(60, slot * 0.6);
+  const labelHeight = 18;
+  const meterHeight = height - labelHeight - 8;
+
+  tracks.forEach((track, i) => {
+    const x = i * slot + (slot - meterWidth) / 2;
+    const analyser = getTrackAnalyser(track.id);
+    const { rms, peak } = analyser ? getLevel(analyser) : { rms: 0, peak: 0 };
+
+    // Peak hold decays slowly
+    const held = Math.max(peak, (peaks.get(track.id) || 0) * 0.97);
+    peaks.set(track.id, held);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.fillRect(x, 4, meterWidth, meterHeight);
+
+    const levelHeight = Math.min(1, rms * 2.5) * meterHeight;
+    ctx.fillStyle = track.color;
+    ctx.fillRect(x, 4 + meterHeight - levelHeight, meterWidth, levelHeight);
+
+    const peakY = 4 + meterHeight - Math.min(1, held) * meterHeight;
+    ctx.fillStyle = held >= 0.99 ? '#EF4444' : '#fff';
+    ctx.fillRect(x, peakY, meterWidth, 2);
+
+    ctx.fillStyle = '#888';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(track.name.substring(0, 14), x + meterWidth / 2, height - 4, slot - 4);
+  });
+}
+
+export function Visualizer({
+  isPlaying,
+  color = '#8B5CF6',
+  tracks = [],
+  getMasterAnalyser,
+  getTrackAnalyser
+}) {
+  const canvasRef = useRef(null);
+  const animationRef = useRef(null);
+  const peaksRef = useRef(new Map());
+  const [mode, setMode] = useState('spectrum');
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -43,37 +128,18 @@ export function Visualizer({ isPlaying, color = '#8B5CF6' }) {
     const width = canvas.width;
     const height = canvas.height;
 
-    let phase = 0;
-
     const draw = () => {
-      ctx.fillStyle = 'rgba(15, 15, 20, 0.2)';
+      ctx.fillStyle = mode === 'scope' ? 'rgba(15, 15, 20, 0.35)' : 'rgba(15, 15, 20, 0.6)';
       ctx.fillRect(0, 0, width, height);
 
-      if (isPlaying) {
-        // Animated wave visualization
-        const barCount = 32;
-        const barWidth = width / barCount;
-
-        for (let i = 0; i < barCount; i++) {
-          // Create dynamic heights using sine waves
-          const baseHeight = Math.sin(phase + i * 0.3) * 0.3 + 0.5;
-          const randomness = Math.sin(phase * 2 + i * 0.7) * 0.2;
-          const barHeight = (baseHeight + randomness) * height * 0.7;
-
-          const gradient = ctx.createLinearGradient(0, height - barHeight, 0, height);
-          gradient.addColorStop(0, color);
-          gradient.addColorStop(1, `${color}33`);
-
-          ctx.fillStyle = gradient;
-          ctx.fillRect(
-            i * barWidth + 2,
-            height - barHeight,
-            barWidth - 4,
-            barHeight
-          );
-        }
-
-        phase += 0.05;
+      const analyser = isPlaying ? getMasterAnalyser?.() : null;
+
+      if (analyser && mode === 'spectrum') {
+        drawSpectrum(ctx, analyser, width, height, color);
+      } else if (analyser && mode === 'scope') {
+        drawScope(ctx, analyser, width, height, color);
+      } else if (isPlaying && mode === 'meters' && getTrackAnalyser) {
+        drawMeters(ctx, tracks, getTrackAnalyser, peaksRef.current, width, height);
       } else {
         // Idle state - flat line
         ctx.strokeStyle = `${color}66`;
@@ -94,7 +160,7 @@ export function Visualizer({ isPlaying, color = '#8B5CF6' }) {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isPlaying, color]);
+  }, [isPlaying, color, mode, tracks, getMasterAnalyser, getTrackAnalyser]);
 
   return (
     <div className="visualizer">
@@ -103,6 +169,17 @@ export function Visualizer({ isPlaying, color = '#8B5CF6' }) {
         width={800}
         height={200}
       />
+      <div className="visualizer-modes">
+        {MODES.map(m => (
+          <button
+            key={m.id}
+            className={`visualizer-mode-btn ${mode === m.id ? 'active' : ''}`}
+            onClick={() => setMode(m.id)}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
     </div>
   );
 }
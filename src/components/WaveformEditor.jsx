@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { loadWaveform, waveformPeaks, nearestZeroCrossing, nearestBeat } from '../waveform';
+
+const MAX_ZOOM = 256;
+const MIN_VIEW_SECONDS = 0.05;
+const MIN_SELECTION_SECONDS = 0.01;
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = (seconds % 60).toFixed(2).padStart(5, '0');
+  return `${mins}:${secs}`;
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Waveform of a sample tile with a draggable start/end region
+// The region is where playback starts and stops, and what loops when loop is on.
+// Changes are committed when a drag ends, so a playing tile restarts once per edit.
+// When `chops` is given the chop points are shown too: drag one to move it,
+// double-click the waveform to add one and double-click a point to remove it.
+export function WaveformEditor({
+  sampleUrl,
+  startTime = 0,
+  endTime = null,
+  loop = false,
+  bpm = 120,
+  color,
+  isPlaying,
+  chops = null,
+  onChange,
+  onChopsChange,
+  onTogglePlay
+}) {
+  const [waveform, setWaveform] = useState(null);
+  const [error, setError] = useState(null);
+  const [zoom, setZoom] = useState(1);
+  const [viewStart, setViewStart] = useState(0);
+  const [draft, setDraft] = useState(null); // { start, end } while dragging
+  const [snapToBeats, setSnapToBeats] = useState(false);
+  const [snapToZero, setSnapToZero] = useState(true);
+  const [gridBpm, setGridBpm] = useState(bpm);
+  const canvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const dragRef = useRef(null); // { handle: 'start' | 'end', anchor } or { chop: index }
+
+  const duration = waveform?.duration || 0;
+  const viewLength = duration / zoom;
+  const selection = draft || { start: startTime, end: endTime ?? duration };
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setWaveform(null);
+    setError(null);
+    setZoom(1);
+    setViewStart(0);
+    loadWaveform(sampleUrl, { signal: controller.signal })
+      .then(setWaveform)
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message || 'Could not load the waveform');
+      });
+    return () => controller.abort();
+  }, [sampleUrl]);
+
+  useEffect(() => {
+    setGridBpm(bpm);
+  }, [bpm]);
+
+  // Draw the visible part of the waveform, with the beat grid when snapping to beats
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !waveform) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.floor(canvas.clientWidth * ratio);
+    const height = Math.floor(canvas.clientHeight * ratio);
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+
+    if (snapToBeats && gridBpm > 0) {
+      const beat = 60 / gridBpm;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      for (let i = Math.ceil(viewStart / beat); i * beat <= viewStart + viewLength; i++) {
+        const x = ((i * beat - viewStart) / viewLength) * width;
+        ctx.fillRect(Math.round(x), 0, i % 4 === 0 ? 2 : 1, height);
+      }
+    }
+
+    const mid = height / 2;
+    ctx.fillStyle = color || '#F97316';
+    waveformPeaks(waveform, viewStart, viewStart + viewLength, width).forEach(([min, max], x) => {
+      const top = mid - max * mid;
+      ctx.fillRect(x, top, 1, Math.max(1, (max - min) * mid));
+    });
+  }, [waveform, viewStart, viewLength, color, snapToBeats, gridBpm]);
+
+  const timeAt = (clientX) => {
+    const rect = overlayRef.current.getBoundingClientRect();
+    return clamp(viewStart + ((clientX - rect.left) / rect.width) * viewLength, 0, duration);
+  };
+
+  const snap = (time) => {
+    let snapped = time;
+    if (snapToBeats && gridBpm > 0) snapped = nearestBeat(snapped, gridBpm);
+    if (snapToZero) snapped = nearestZeroCrossing(waveform, snapped);
+    return clamp(snapped, 0, duration);
+  };
+
+  // Drag a handle, or drag across the waveform to draw a new region
+  const handlePointerDown = (e) => {
+    if (!waveform || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const { handle, chop } = e.target.dataset;
+    if (chop !== undefined) {
+      dragRef.current = { chop: Number(chop) };
+    } else if (handle) {
+      dragRef.current = { handle };
+      setDraft(selection);
+    } else {
+      const anchor = snap(timeAt(e.clientX));
+      dragRef.current = { handle: 'end', anchor };
+      setDraft({ start: anchor, end: anchor });
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const time = snap(timeAt(e.clientX));
+
+    // Chop points stay in order: each one moves between its neighbours
+    if (drag.chop !== undefined) {
+      const min = (chops[drag.chop - 1] ?? 0) + MIN_SELECTION_SECONDS;
+      const max = (chops[drag.chop + 1] ?? duration) - MIN_SELECTION_SECONDS;
+      onChopsChange?.(chops.map((point, i) => (i === drag.chop ? Number(clamp(time, min, max).toFixed(4)) : point)));
+      return;
+    }
+
+    setDraft(prev => {
+      if (drag.anchor !== undefined) {
+        return { start: Math.min(drag.anchor, time), end: Math.max(drag.anchor, time) };
+      }
+      return drag.handle === 'start'
+        ? { ...prev, start: Math.min(time, prev.end - MIN_SELECTION_SECONDS) }
+        : { ...prev, end: Math.max(time, prev.start + MIN_SELECTION_SECONDS) };
+    });
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    dragRef.current = null;
+    if (drag.chop !== undefined) return;
+    setDraft(null);
+    // A click without a drag leaves the region as it was
+    if (draft.end - draft.start < MIN_SELECTION_SECONDS) return;
+    commit(draft.start, draft.end);
+  };
+
+  const handleDoubleClick = (e) => {
+    if (!chops || !onChopsChange) return;
+    const { chop } = e.target.dataset;
+    if (chop !== undefined) {
+      onChopsChange(chops.filter((_, i) => i !== Number(chop)));
+      return;
+    }
+    const time = Number(snap(timeAt(e.clientX)).toFixed(4));
+    if (time <= 0 || time >= duration || chops.includes(time)) return;
+    onChopsChange([...chops, time].sort((a, b) => a - b));
+  };
+
+  const commit = (start, end) => {
+    onChange?.({
+      startTime: Number(start.toFixed(4)),
+      // Running to the end of the file is stored as null, like the default
+      endTime: end >= duration - 0.001 ? null : Number(end.toFixed(4))
+    });
+  };
+
+  const setZoomAround = (newZoom, center) => {
+    const zoomLevel = clamp(newZoom, 1, Math.min(MAX_ZOOM, duration / MIN_VIEW_SECONDS));
+    const length = duration / zoomLevel;
+    setZoom(zoomLevel);
+    setViewStart(clamp(center - length / 2, 0, duration - length));
+  };
+
+  const zoomToSelection = () => {
+    const length = selection.end - selection.start;
+    setZoomAround(duration / (length * 1.1), selection.start + length / 2);
+  };
+
+  if (error) {
+    return <div className="waveform-editor waveform-error">{error}</div>;
+  }
+
+  const toPercent = (time) => `${((time - viewStart) / viewLength) * 100}%`;
+
+  return (
+    <div className="waveform-editor" style={{ '--waveform-color': color }}>
+      <div className="waveform-toolbar">
+        <button className={`waveform-btn ${isPlaying ? 'active' : ''}`} onClick={onTogglePlay} disabled={!waveform}>
+          {isPlaying ? 'Stop' : 'Play'}
+        </button>
+        <label className="waveform-toggle">
+          <input type="checkbox" checked={loop} onChange={(e) => onChange?.({ loop: e.target.checked })} />
+          Loop
+        </label>
+        <span className="waveform-divider" />
+        <button className="waveform-btn" onClick={() => setZoomAround(zoom / 2, viewStart + viewLength / 2)} disabled={zoom <= 1}>
+          −
+        </button>
+        <button className="waveform-btn" onClick={() => setZoomAround(zoom * 2, viewStart + viewLength / 2)} disabled={!waveform}>
+          +
+        </button>
+        <button className="waveform-btn" onClick={zoomToSelection} disabled={!waveform}>
+          Fit
+        </button>
+        <span className="waveform-divider" />
+        <label className="waveform-toggle" title="Move cuts to where the signal crosses zero, so they don't click">
+          <input type="checkbox" checked={snapToZero} onChange={(e) => setSnapToZero(e.target.checked)} />
+          Zero crossings
+        </label>
+        <label className="waveform-toggle">
+          <input type="checkbox" checked={snapToBeats} onChange={(e) => setSnapToBeats(e.target.checked)} />
+          Beats at
+        </label>
+        <input
+          type="number"
+          className="waveform-bpm"
+          min={20}
+          max={400}
+          value={gridBpm}
+          onChange={(e) => setGridBpm(Number(e.target.value))}
+        />
+        <span className="waveform-unit">BPM</span>
+      </div>
+
+      <div className="waveform-view">
+        <canvas ref={canvasRef} className="waveform-canvas" />
+        {waveform ? (
+          <div
+            ref={overlayRef}
+            className="waveform-overlay"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            onDoubleClick={handleDoubleClick}
+          >
+            <div className="waveform-shade" style={{ left: 0, width: toPercent(selection.start) }} />
+            <div className="waveform-shade" style={{ left: toPercent(selection.end), right: 0 }} />
+            <div className="waveform-handle start" data-handle="start" style={{ left: toPercent(selection.start) }} />
+            <div className="waveform-handle end" data-handle="end" style={{ left: toPercent(selection.end) }} />
+            {chops?.map((time, i) => (
+              <div
+                key={i}
+                className="waveform-chop"
+                data-chop={i}
+                style={{ left: toPercent(time) }}
+                title="Drag to move, double-click to remove"
+              >
+                <span className="waveform-chop-label">{i + 1}</span>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="waveform-loading">Loading waveform...</div>
+        )}
+      </div>
+
+      {zoom > 1 && (
+        <input
+          type="range"
+          className="waveform-scroll"
+          min={0}
+          max={duration - viewLength}
+          step={viewLength / 100}
+          value={viewStart}
+          onChange={(e) => setViewStart(Number(e.target.value))}
+        />
+      )}
+
+      {waveform && (
+        <div className="waveform-readout">
+          <span>Start {formatTime(selection.start)}</span>
+          <span>End {formatTime(selection.end)}</span>
+          <span>Length {formatTime(selection.end - selection.start)}</span>
+          <button
+            className="waveform-btn"
+            onClick={() => commit(0, duration)}
+            disabled={startTime === 0 && endTime === null}
+          >
+            Reset
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { apiFetch } from './api';
+import { readEventStream } from './eventStream';
+
+// Download a sample through the server's download queue.
+// onProgress(job) is called on every update; aborting `signal` cancels the job
+// on the server. Resolves to { filename, path, size }.
+export async function downloadSampleJob(params, { onProgress, signal } = {}) {
+  const res = await apiFetch('/download', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params),
+    signal
+  });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || 'Download failed');
+  }
+
+  let job = data.job;
+  onProgress?.(job);
+
+  const cancel = () => {
+    apiFetch(`/download/${job.id}`, { method: 'DELETE' }).catch(() => {
+      // Already finished or the server is gone; nothing left to cancel
+    });
+  };
+  signal?.addEventListener('abort', cancel);
+
+  try {
+    const events = await apiFetch(`/download/${job.id}/events`, { signal });
+    if (!events.ok) {
+      const error = await events.json().catch(() => ({}));
+      throw new Error(error.error || 'Lost track of the download');
+    }
+
+    await readEventStream(events, (event, update) => {
+      if (event === 'job') {
+        job = update;
+        onProgress?.(update);
+      }
+    });
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+  }
+
+  if (job.status === 'done') return job.result;
+  if (job.status === 'cancelled') {
+    const err = new Error('Download cancelled');
+    err.name = 'AbortError';
+    throw err;
+  }
+  throw new Error(job.error || 'Download failed');
+}
@@ -0,0 +1,34 @@
+// Read a Server-Sent Events response from fetch().
+// EventSource only does GET, so POST endpoints that stream are read by hand.
+// Calls onEvent(event, data) for each message, with data parsed as JSON.
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (message) => {
+    let event = 'message';
+    const dataLines = [];
+    message.split('\n').forEach(line => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    });
+    if (dataLines.length > 0) {
+      onEvent(event, JSON.parse(dataLines.join('\n')));
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Messages are separated by a blank line
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      dispatch(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+    }
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
@@ -0,0 +1,217 @@
+// Offline (faster than real time) rendering of Strudel patterns to an AudioBuffer.
+//
+// Strudel's own output (superdough) is bound to the live AudioContext, so this
+// module re-voices the pattern's haps into an OfflineAudioContext. It covers the
+// subset of superdough used by our tiles: samples, basic synth waveforms, gain,
+// pan, filters, room and delay. Sound lookup is injected through `engine` so the
+// renderer can run headless with stubbed sounds.
+
+const SYNTH_WAVEFORMS = ['sine', 'square', 'sawtooth', 'triangle'];
+const TAIL_SECONDS = 2; // Let reverb and releases ring out after the last cycle
+
+// Simple exponentially decaying noise impulse for the room send
+function createImpulseResponse(ctx, seconds = 2, decay = 3) {
+  const length = Math.floor(ctx.sampleRate * seconds);
+  const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+  for (let ch = 0; ch < 2; ch++) {
+    const data = impulse.getChannelData(ch);
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, decay);
+    }
+  }
+  return impulse;
+}
+
+// Shared effect buses, like superdough's orbit
+function createBuses(ctx) {
+  const master = ctx.createGain();
+  master.connect(ctx.destination);
+
+  const reverb = ctx.createConvolver();
+  reverb.buffer = createImpulseResponse(ctx);
+  reverb.connect(master);
+
+  const delay = ctx.createDelay(5);
+  const feedback = ctx.createGain();
+  delay.connect(feedback).connect(delay);
+  delay.connect(master);
+
+  return { master, reverb, delay, feedback };
+}
+
+function createSynthVoice(ctx, s, value, t, duration, engine) {
+  const osc = ctx.createOscillator();
+  osc.type = s;
+  osc.frequency.value = engine.getFrequencyFromValue(value);
+
+  // Same ADSR defaults and turn-down as superdough's synths
+  const attack = value.attack ?? 0.001;
+  const decay = value.decay ?? 0.05;
+  const sustain = value.sustain ?? 0.6;
+  const release = value.release ?? 0.01;
+
+  const env = ctx.createGain();
+  const holdEnd = t + duration;
+  env.gain.setValueAtTime(0, t);
+  env.gain.linearRampToValueAtTime(0.3, t + attack);
+  env.gain.linearRampToValueAtTime(0.3 * sustain, Math.min(t + attack + decay, holdEnd));
+  env.gain.setValueAtTime(0.3 * sustain, holdEnd);
+  env.gain.linearRampToValueAtTime(0, holdEnd + release);
+
+  osc.connect(env);
+  osc.start(t);
+  osc.stop(holdEnd + release + 0.01);
+  return env;
+}
+
+async function createSampleVoice(ctx, value, bank, t, engine) {
+  const { buffer, playbackRate } = await engine.getSampleBuffer(value, bank);
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  source.playbackRate.value = playbackRate;
+
+  const begin = value.begin ?? 0;
+  const end = value.end ?? 1;
+  const offset = begin * buffer.duration;
+  const length = (end - begin) * buffer.duration;
+  source.start(t, offset, length);
+  return source;
+}
+
+// Insert filters, panning and effect sends for one hap
+function connectVoice(ctx, node, value, buses, t, duration) {
+  let last = node;
+
+  const filters = [
+    ['lowpass', value.cutoff ?? value.lpf, value.resonance ?? value.lpq],
+    ['highpass', value.hcutoff ?? value.hpf, value.hresonance ?? value.hpq],
+    ['bandpass', value.bandf, value.bandq],
+  ];
+  filters.forEach(([type, frequency, q]) => {
+    if (frequency == null) return;
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.frequency.value = frequency;
+    if (q != null) filter.Q.value = q;
+    last = last.connect(filter);
+  });
+
+  const gain = ctx.createGain();
+  gain.gain.value = (value.gain ?? 0.8) * (value.velocity ?? 1) * (value.postgain ?? 1);
+  last = last.connect(gain);
+
+  if (value.pan != null) {
+    // Strudel pans 0..1, Web Audio -1..1
+    const panner = ctx.createStereoPanner();
+    panner.pan.value = value.pan * 2 - 1;
+    last = last.connect(panner);
+  }
+
+  last.connect(buses.master);
+
+  if (value.room) {
+    const send = ctx.createGain();
+    send.gain.value = value.room;
+    last.connect(send).connect(buses.reverb);
+  }
+
+  if (value.delay) {
+    const send = ctx.createGain();
+    send.gain.value = value.delay;
+    buses.delay.delayTime.setValueAtTime(value.delaytime ?? 0.25, t);
+    buses.feedback.gain.setValueAtTime(Math.min(value.delayfeedback ?? 0.5, 0.95), t);
+    last.connect(send).connect(buses.delay);
+  }
+
+  // Cut samples that should stop at the end of the hap
+  if (value.clip != null || value.legato != null) {
+    const length = duration * (value.clip ?? value.legato);
+    gain.gain.setValueAtTime(gain.gain.value, t + length);
+    gain.gain.linearRampToValueAtTime(0, t + length + 0.01);
+  }
+}
+
+/**
+ * Render `cycles` cycles of a pattern at the given cps, starting at cycle `from`.
+ *
+ * options.directAudio: extra buffers to mix in, shaped like the direct-audio
+ * tracks in useStrudel ({ buffer, volume, pan, playbackRate, loop, startTime, endTime }),
+ * plus `start` and `stop`: the seconds into the render they come in and are cut
+ * at (0 and null unless a launch or stop is queued).
+ * engine: { getSound, getSampleBuffer, getFrequencyFromValue } from @strudel/webaudio.
+ *
+ * Resolves to { buffer, skipped } where skipped lists sounds the renderer can't voice.
+ */
+export async function renderOffline(pattern, {
+  from = 0,
+  cycles = 4,
+  cps = 0.5,
+  sampleRate = 44100,
+  directAudio = [],
+  engine,
+  createContext = (length, rate) => new OfflineAudioContext(2, length, rate)
+} = {}) {
+  const duration = cycles / cps;
+  const ctx = createContext(Math.ceil((duration + TAIL_SECONDS) * sampleRate), sampleRate);
+  const buses = createBuses(ctx);
+  const skipped = new Set();
+
+  // Schedule every hap that starts inside the render window
+  const haps = pattern ? pattern.queryArc(from, from + cycles).filter(hap => hap.hasOnset()) : [];
+
+  await Promise.all(haps.map(async (hap) => {
+    const value = typeof hap.value === 'object' ? { ...hap.value } : { note: hap.value };
+    const t = (hap.whole.begin.valueOf() - from) / cps;
+    const hapDuration = hap.duration.valueOf() / cps;
+    const s = value.s ?? 'triangle';
+
+    if (['-', '~', '_'].includes(s)) return;
+
+    let node = null;
+    const sound = engine.getSound(value.bank ? `${value.bank}_${s}` : s);
+
+    if (sound?.data?.type === 'sample') {
+      try {
+        node = await createSampleVoice(ctx, value, sound.data.samples, t, engine);
+      } catch (err) {
+        console.warn(`Offline render: failed to load sample "${s}"`, err);
+      }
+    } else if (SYNTH_WAVEFORMS.includes(s)) {
+      node = createSynthVoice(ctx, s, value, t, hapDuration, engine);
+    }
+
+    if (!node) {
+      skipped.add(s);
+      return;
+    }
+    connectVoice(ctx, node, value, buses, t, hapDuration);
+  }));
+
+  // Direct-audio sample tiles play from the start of the render, or their queued launch
+  directAudio.forEach(({ buffer, volume = 0.8, pan = 0.5, playbackRate = 1, loop = false, startTime = 0, endTime = null, start = 0, stop = null }) => {
+    if (start >= duration || (stop !== null && stop <= start)) return;
+    const source = ctx.createBufferSource();
+    const gain = ctx.createGain();
+    const panner = ctx.createStereoPanner();
+    source.buffer = buffer;
+    source.playbackRate.value = playbackRate;
+    gain.gain.value = volume;
+    panner.pan.value = pan * 2 - 1;
+    source.connect(gain).connect(panner).connect(buses.master);
+
+    if (loop) {
+      source.loop = true;
+      source.loopStart = startTime;
+      source.loopEnd = endTime ?? buffer.duration;
+      source.start(start, startTime);
+      source.stop(Math.min(stop ?? duration, duration));
+    } else {
+      const length = (endTime ?? buffer.duration) - startTime;
+      source.start(start, startTime, length > 0 ? length : undefined);
+      if (stop !== null) source.stop(stop);
+    }
+  });
+
+  const buffer = await ctx.startRendering();
+  return { buffer, skipped: Array.from(skipped) };
+}
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sequence, s } from '@strudel/core';
+import { renderOffline } from './offlineRender.js';
+
+// Just enough of an OfflineAudioContext to run the renderer headless: nodes
+// only record when their sources start and stop, and rendering hands back a
+// silent buffer of the requested length
+function createRecordingContext(length, sampleRate) {
+  const started = [];
+  const param = (value = 0) => ({ value, setValueAtTime() {}, linearRampToValueAtTime() {} });
+  const createBuffer = (channels, frames, rate) => {
+    const data = Array.from({ length: channels }, () => new Float32Array(frames));
+    return {
+      numberOfChannels: channels,
+      length: frames,
+      sampleRate: rate,
+      duration: frames / rate,
+      getChannelData: (ch) => data[ch]
+    };
+  };
+  const node = (fields = {}) => ({ connect: target => target, ...fields });
+  const source = (fields) => {
+    const voice = { stop: null };
+    return node({
+      ...fields,
+      start(when, offset = 0) {
+        Object.assign(voice, { buffer: this.buffer, when, offset });
+        started.push(voice);
+      },
+      stop(when) {
+        voice.stop = when;
+      }
+    });
+  };
+
+  return {
+    sampleRate,
+    started,
+    destination: node(),
+    createBuffer,
+    createGain: () => node({ gain: param(1) }),
+    createConvolver: () => node({ buffer: null }),
+    createDelay: () => node({ delayTime: param() }),
+    createStereoPanner: () => node({ pan: param() }),
+    createBiquadFilter: () => node({ frequency: param(), Q: param() }),
+    createOscillator: () => source({ type: 'sine', frequency: param() }),
+    createBufferSource: () => source({ buffer: null, playbackRate: param(1) }),
+    startRendering: async () => createBuffer(2, length, sampleRate)
+  };
+}
+
+// A one-second sample, the only sound the engine knows
+const kick = { duration: 1 };
+const engine = {
+  getSound: name => (name === 'kick' ? { data: { type: 'sample', samples: {} } } : undefined),
+  getSampleBuffer: async () => ({ buffer: kick, playbackRate: 1 }),
+  getFrequencyFromValue: () => 440
+};
+
+async function render(pattern, options) {
+  let ctx;
+  const result = await renderOffline(pattern, {
+    engine,
+    sampleRate: 1000,
+    createContext: (length, rate) => (ctx = createRecordingContext(length, rate)),
+    ...options
+  });
+  return { ...result, started: ctx.started };
+}
+
+test('renders the requested cycles plus the tail', async () => {
+  const { buffer } = await render(s('kick'), { cycles: 4, cps: 0.5 });
+  // 4 cycles at 0.5 cps is 8 seconds, then 2 seconds of tail
+  assert.equal(buffer.length, 10 * 1000);
+});
+
+test('voices every onset at its time from the start cycle', async () => {
+  const pattern = s(sequence('kick', '~', 'kick', '~'));
+  const { started, skipped } = await render(pattern, { from: 3, cycles: 2, cps: 1 });
+  const kicks = started.filter(voice => voice.buffer === kick).map(voice => voice.when).sort((a, b) => a - b);
+  assert.deepEqual(kicks, [0, 0.5, 1, 1.5]);
+  assert.deepEqual(skipped, []);
+});
+
+test('direct audio comes in and is cut at its queued launch and stop', async () => {
+  const loop = { duration: 4 };
+  const { started } = await render(null, {
+    cycles: 4,
+    cps: 1,
+    directAudio: [
+      { buffer: loop, loop: true, start: 1, stop: 3 },
+      { buffer: loop, start: 2 },
+      { buffer: loop, start: 5 }
+    ]
+  });
+  const voices = started.filter(voice => voice.buffer === loop);
+  assert.deepEqual(voices.map(({ when, stop }) => [when, stop]), [[1, 3], [2, null]]);
+});
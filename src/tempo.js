@@ -0,0 +1,41 @@
+// How a tile's tempo relates to the master BPM.
+// Strudel has one global clock (cps), so every mode is expressed as a speed
+// factor applied to the tile's pattern relative to that clock.
+export const TEMPO_MODES = [
+  { id: 'fit', label: 'Fit to master' },      // Stretched so one cycle = one master bar
+  { id: 'native', label: 'Native' },          // Keeps the tile's own BPM, drifts against the master
+  { id: 'half', label: 'Half time' },         // Half the master tempo
+  { id: 'double', label: 'Double time' },     // Twice the master tempo
+];
+
+export const DEFAULT_TEMPO_MODE = 'fit';
+export const DEFAULT_MASTER_BPM = 120;
+
+// One cycle is one 4/4 bar
+export const bpmToCps = (bpm) => bpm / 240;
+
+// Speed factor for a tile with native `tileBpm` under `masterBpm`
+export function tempoFactor(tileBpm, mode, masterBpm) {
+  switch (mode) {
+    case 'native':
+      return tileBpm / masterBpm;
+    case 'half':
+      return 0.5;
+    case 'double':
+      return 2;
+    default:
+      return 1;
+  }
+}
+
+// Effective BPM a tile is heard at
+export const effectiveBpm = (tileBpm, mode, masterBpm) =>
+  Math.round(masterBpm * tempoFactor(tileBpm, mode, masterBpm));
+
+// Bars that `seconds` of audio at `bpm` comes closest to filling: a whole
+// number, or a power-of-two fraction of a bar for short loops
+export function loopBars(seconds, bpm) {
+  const bars = (seconds * bpm) / 240;
+  if (bars >= 0.75) return Math.round(bars);
+  return 2 ** Math.max(-4, Math.round(Math.log2(bars)));
+}
@@ -0,0 +1,85 @@
+// Pitch-preserving time-stretch of AudioBuffers, run in a worker so a long
+// sample doesn't freeze the page. One stretch runs at a time; the rest wait,
+// and any of them can be cancelled with an AbortSignal.
+
+let worker = null;
+let running = null; // { id, channels, factor, resolve, reject }
+const waiting = [];
+let nextId = 1;
+
+const abortError = () => new DOMException('Time-stretch cancelled', 'AbortError');
+
+function startWorker() {
+  worker = new Worker(new URL('./timeStretchWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const job = running;
+    running = null;
+    if (job?.id === data.id) job.resolve(data.channels);
+    runNext();
+  };
+  worker.onerror = (event) => {
+    const job = running;
+    stopWorker();
+    job?.reject(new Error(event.message || 'Time-stretch failed'));
+    runNext();
+  };
+}
+
+function stopWorker() {
+  worker?.terminate();
+  worker = null;
+  running = null;
+}
+
+function runNext() {
+  if (running || waiting.length === 0) return;
+  running = waiting.shift();
+  if (!worker) startWorker();
+  worker.postMessage(
+    { id: running.id, channels: running.channels, factor: running.factor },
+    running.channels.map(channel => channel.buffer)
+  );
+}
+
+// stretchChannels (wsola.js) in the worker
+function stretchInWorker(channels, factor, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const job = { id: nextId++, channels, factor, resolve, reject };
+
+    // A waiting job is dropped; a running one takes the worker down with it
+    signal?.addEventListener('abort', () => {
+      const index = waiting.indexOf(job);
+      if (index !== -1) {
+        waiting.splice(index, 1);
+      } else if (running === job) {
+        stopWorker();
+        runNext();
+      } else {
+        return;
+      }
+      reject(abortError());
+    }, { once: true });
+
+    waiting.push(job);
+    runNext();
+  });
+}
+
+/**
+ * The region [start, end) seconds of `buffer`, `factor` times as long
+ * (2 = half speed) at the same pitch, as a new AudioBuffer from `ctx`.
+ * Rejects with an AbortError if `signal` aborts first.
+ */
+export async function timeStretch(ctx, buffer, factor, start = 0, end = buffer.duration, { signal } = {}) {
+  const from = Math.floor(start * buffer.sampleRate);
+  const length = Math.min(buffer.length, Math.floor(end * buffer.sampleRate)) - from;
+  // Copies, since they're handed over to the worker
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, ch) =>
+    buffer.getChannelData(ch).slice(from, from + length));
+
+  const stretched = await stretchInWorker(channels, factor, signal);
+  const output = ctx.createBuffer(stretched.length, stretched[0].length, buffer.sampleRate);
+  stretched.forEach((data, ch) => output.copyToChannel(data, ch));
+  return output;
+}
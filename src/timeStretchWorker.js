@@ -0,0 +1,7 @@
+import { stretchChannels } from './wsola';
+
+// Runs one stretch per message: { id, channels, factor } -> { id, channels }
+self.onmessage = ({ data: { id, channels, factor } }) => {
+  const stretched = stretchChannels(channels, factor);
+  self.postMessage({ id, channels: stretched }, stretched.map(channel => channel.buffer));
+};
@@ -0,0 +1,21 @@
+import { apiFetch } from './api';
+
+// Audio files the server's /upload endpoint accepts
+export const AUDIO_FILE_EXTENSIONS = ['.wav', '.mp3', '.ogg', '.flac'];
+
+export const isAudioFile = (file) =>
+  AUDIO_FILE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension));
+
+// Upload local audio files as samples; the server converts them to WAV.
+// Resolves to { samples: [{ filename, path, size }], errors: [{ name, error }] }
+export async function uploadSampleFiles(files) {
+  const form = new FormData();
+  files.forEach(file => form.append('files', file));
+
+  const res = await apiFetch('/upload', { method: 'POST', body: form });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.error || 'Upload failed');
+  }
+  return data;
+}
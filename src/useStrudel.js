@@ -1,13 +1,66 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
+import { renderOffline } from './offlineRender';
+import { timeStretch } from './timeStretch';
+import { loopBars } from './tempo';
+import { API_URL, apiFetch } from './api';
+
+const SERVER_URL = API_URL.replace('/api', '');
+
+// The server's map of every user sample and bank, same format as dirt-samples' strudel.json
+const SAMPLE_MANIFEST_URL = `${SERVER_URL}/samples/strudel.json`;
+
+// How many cycles ahead play() looks for samples that still need fetching
+const PRELOAD_CYCLES = 4;
 
 let globalRepl = null;
 let globalAudioContext = null;
 let isInitialized = false;
 let initPromise = null;
 let samplesFunction = null; // Reference to the samples function for loading custom samples
+let webaudioModule = null; // @strudel/webaudio exports (sound registry, sample loading)
+let evaluateFunction = null; // Evaluates code to a pattern without touching the scheduler
+let transpilerFunction = null;
+
+// Register the user's samples and banks from the server's manifest
+// Call again whenever the library changes; before Strudel has loaded this does
+// nothing, since initStrudel loads the manifest itself
+export async function reloadSampleManifest() {
+  if (!samplesFunction) return;
+  try {
+    await samplesFunction(SAMPLE_MANIFEST_URL);
+  } catch (err) {
+    console.error('Failed to load the sample manifest:', err);
+  }
+}
+
+// Register the default sample banks the server mirrors (SAMPLE_BANKS)
+// Only the manifests are loaded here; Strudel fetches each file on first use.
+// Falls back to dirt-samples from GitHub if the server can't list them.
+// Resolves to an error message if neither works: Strudel still starts, with
+// synths and the user's own samples only.
+async function loadDefaultBanks() {
+  try {
+    const res = await apiFetch('/banks');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { banks } = await res.json();
+    await Promise.all(banks.map(bank => samplesFunction(`${SERVER_URL}${bank.manifest}`)));
+    return null;
+  } catch (err) {
+    console.warn('Sample banks unavailable from the server, using GitHub:', err);
+  }
+  try {
+    await samplesFunction('github:tidalcycles/dirt-samples');
+    return null;
+  } catch (err) {
+    console.error('Failed to load the default sample banks:', err);
+    return 'The default samples (bd, hh, sn...) could not be loaded from the server or GitHub';
+  }
+}
+
+let defaultBankError = null; // from loadDefaultBanks
 
 async function initStrudel() {
-  if (isInitialized && globalRepl) return { repl: globalRepl, audioContext: globalAudioContext };
+  if (isInitialized && globalRepl) return { repl: globalRepl, audioContext: globalAudioContext, bankError: defaultBankError };
   if (initPromise) return initPromise;
 
   initPromise = (async () => {
@@ -40,19 +93,25 @@ async function initStrudel() {
 
       // Store the samples function for later use
       samplesFunction = samples;
+      webaudioModule = webaudio;
+      evaluateFunction = core.evaluate;
+      transpilerFunction = transpiler;
 
       // Set up evalScope with all modules - this makes functions globally available
+      // isTrackAudible lets the stacked code ask the mixer whether a track may sound
       await evalScope(
         import('@strudel/core'),
         import('@strudel/mini'),
         import('@strudel/webaudio'),
-        import('@strudel/tonal')
+        import('@strudel/tonal'),
+        { isTrackAudible }
       );
 
       console.log('Loading samples...');
 
       // Load samples
-      await samples('github:tidalcycles/dirt-samples');
+      defaultBankError = await loadDefaultBanks();
+      await reloadSampleManifest();
 
       console.log('Creating REPL instance...');
 
@@ -66,7 +125,7 @@ async function initStrudel() {
       isInitialized = true;
       console.log('Strudel initialized successfully!');
 
-      return { repl: globalRepl, audioContext: globalAudioContext };
+      return { repl: globalRepl, audioContext: globalAudioContext, bankError: defaultBankError };
     } catch (err) {
       console.error('Failed to initialize Strudel:', err);
       initPromise = null;
@@ -80,8 +139,187 @@ async function initStrudel() {
 // Track which patterns are currently playing
 let activeTracks = new Set();
 
+// Combine per-track pattern code into one stacked pattern
+function stackPatterns(patternsList) {
+  if (patternsList.length === 1) {
+    return patternsList[0];
+  }
+  const stackedPatterns = patternsList
+    .map(p => `(${p})`)
+    .join(',\n  ');
+  return `stack(\n  ${stackedPatterns}\n)`;
+}
+
+// Split a track's code into its leading setcps() line (or '') and the pattern
+function splitSetCps(code) {
+  const lines = code.trim().split('\n');
+  if (lines[0].trim().startsWith('setcps(')) {
+    return { setCpsLine: lines[0], patternCode: lines.slice(1).join('\n').trim() };
+  }
+  return { setCpsLine: '', patternCode: code.trim() };
+}
+
+// Mixer state: muted and soloed tracks
+// Read by the stacked pattern at query time, so muting never re-evaluates the stack
+const mutedTracks = new Set();
+const soloedTracks = new Set();
+
+// Quantized launching: the cycle window each track may sound in (trackId -> { start, stop }).
+// Queued launches and stops just move the window, so they land exactly on the boundary.
+// Direct-audio tracks are scheduled by time instead and keep theirs for exporting.
+const trackWindows = new Map();
+
+// Launches and stops waiting for their boundary: trackId -> { action: 'start' | 'stop', timer }
+const queuedActions = new Map();
+
+// Whether a track (or, given a hap, that event of the track) should sound
+function isTrackAudible(trackId, hap = null) {
+  if (hap && trackWindows.has(trackId)) {
+    const { start = -Infinity, stop = Infinity } = trackWindows.get(trackId);
+    const begin = (hap.whole || hap.part).begin.valueOf();
+    if (begin < start || begin >= stop) return false;
+  }
+  if (mutedTracks.has(trackId)) return false;
+  return soloedTracks.size === 0 || soloedTracks.has(trackId);
+}
+
+// Next multiple of `quantize` cycles, or null to act immediately
+// (quantize off, or nothing playing to stay in time with)
+function nextBoundary(quantize) {
+  const scheduler = globalRepl?.scheduler;
+  if (!quantize || !scheduler?.started || activeTracks.size === 0) return null;
+  return upcomingBoundary(quantize);
+}
+
+// First multiple of `step` cycles the running scheduler can still act on
+function upcomingBoundary(step) {
+  const scheduler = globalRepl.scheduler;
+  // Look a little ahead: haps just before now() + latency have already been scheduled
+  const lookahead = (scheduler.latency + 0.1) * scheduler.cps;
+  return Math.ceil((scheduler.now() + lookahead) / step) * step;
+}
+
+// Resolves after the scheduler's next tick; only then do cycle times reflect
+// a cps change or a fresh start
+const schedulerTick = () =>
+  new Promise(resolve => setTimeout(resolve, (globalRepl.scheduler.clock.duration + 0.05) * 1000));
+
+// AudioContext time at which the scheduler plays the given cycle
+function cycleToAudioTime(cycle) {
+  const scheduler = globalRepl.scheduler;
+  return (cycle - scheduler.num_cycles_at_cps_change) / scheduler.cps
+    + scheduler.seconds_at_cps_change
+    + scheduler.latency;
+}
+
+// Samples the pattern plays in the next PRELOAD_CYCLES that haven't been fetched yet,
+// as [hapValue, bank] pairs for getSampleBuffer, one per file
+function unloadedSamples(pattern) {
+  const { getSound, getSampleInfo, getCachedBuffer } = webaudioModule;
+  const from = globalRepl.scheduler.now();
+  const pending = new Map(); // url -> [value, bank]
+
+  pattern.queryArc(from, from + PRELOAD_CYCLES).filter(hap => hap.hasOnset()).forEach(hap => {
+    const value = hap.value;
+    if (typeof value !== 'object' || typeof value.s !== 'string') return;
+    const sound = getSound(value.bank ? `${value.bank}_${value.s}` : value.s);
+    if (sound?.data?.type !== 'sample') return;
+    const { url } = getSampleInfo(value, sound.data.samples);
+    // loadBuffer caches under the escaped URL
+    if (!getCachedBuffer(url.replace('#', '%23')) && !pending.has(url)) {
+      pending.set(url, [value, sound.data.samples]);
+    }
+  });
+  return Array.from(pending.values());
+}
+
+// Quote a track id as a plain JS string (double quotes would be parsed as mini-notation)
+const quoteTrackId = (trackId) => `'${String(trackId).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
 // Track direct audio playback (for samples not using Strudel patterns)
-let directAudioSources = new Map(); // trackId -> AudioBufferSourceNode
+// sync is set for tempo-synced samples: { buffer, url, regionStart, regionEnd, cycles, preservePitch,
+// launchCycle, retime } where retime is a pending re-stretch: { timer, controller }
+let directAudioSources = new Map(); // trackId -> { source, gainNode, pannerNode, analyser, volume, options, sync }
+
+// How far off a cancelled stop is pushed: a year, i.e. never
+const UNSCHEDULED_STOP_SECONDS = 365 * 24 * 3600;
+
+// Time-stretched regions, newest last, so replaying a synced sample doesn't stretch it again
+const STRETCH_CACHE_SIZE = 8;
+const stretchCache = new Map(); // "url|start|end|factor" -> AudioBuffer
+
+async function stretchRegion(buffer, url, start, end, factor, signal) {
+  const key = [url, start, end, factor.toFixed(4)].join('|');
+  if (!stretchCache.has(key)) {
+    const stretched = await timeStretch(globalAudioContext, buffer, factor, start, end, { signal });
+    stretchCache.set(key, stretched);
+    if (stretchCache.size > STRETCH_CACHE_SIZE) {
+      stretchCache.delete(stretchCache.keys().next().value);
+    }
+  }
+  return stretchCache.get(key);
+}
+
+// A tempo change re-stretches a synced sample once the tempo has stopped moving
+const RETIME_DELAY_MS = 200;
+
+// Drop a re-stretch that's waiting or running, e.g. when the sample stops
+function cancelRetime(entry) {
+  if (!entry?.sync?.retime) return;
+  clearTimeout(entry.sync.retime.timer);
+  entry.sync.retime.controller.abort();
+  entry.sync.retime = null;
+}
+
+// Direct audio has no pattern to filter, so mute/solo act on its gain node
+function applyDirectAudioGain(trackId) {
+  const entry = directAudioSources.get(trackId);
+  if (entry) {
+    entry.gainNode.gain.value = isTrackAudible(trackId) ? entry.volume : 0;
+  }
+}
+
+// Analysers for the Visualizer
+// Each Strudel track is tapped with .analyze(trackId), which makes superdough feed
+// an analyser keyed by the track id. All track analysers fan into one master analyser.
+const ANALYSER_FFT = 5; // superdough fft exponent: 2 ** (5 + 5) = 1024 samples
+let masterAnalyser = null;
+const connectedAnalysers = new WeakSet();
+
+function tapTrackPatterns(trackPatterns) {
+  return Object.entries(trackPatterns).map(([trackId, code]) =>
+    `(${code}).filterHaps((hap) => isTrackAudible(${quoteTrackId(trackId)}, hap)).analyze(${JSON.stringify(trackId)}).fft(${ANALYSER_FFT})`
+  );
+}
+
+function connectToMaster(analyser) {
+  if (analyser && !connectedAnalysers.has(analyser)) {
+    analyser.connect(masterAnalyser);
+    connectedAnalysers.add(analyser);
+  }
+}
+
+// Analyser for everything we play (Strudel tracks + direct audio)
+function getMasterAnalyser() {
+  if (!globalAudioContext) return null;
+  if (!masterAnalyser) {
+    masterAnalyser = globalAudioContext.createAnalyser();
+    masterAnalyser.fftSize = 2048;
+    masterAnalyser.smoothingTimeConstant = 0.8;
+  }
+  // Pick up track analysers created since the last call
+  Object.values(webaudioModule?.analysers || {}).forEach(connectToMaster);
+  directAudioSources.forEach(({ analyser }) => connectToMaster(analyser));
+  return masterAnalyser;
+}
+
+// Analyser for a single track, or null if it hasn't produced sound yet
+function getTrackAnalyser(trackId) {
+  if (directAudioSources.has(trackId)) {
+    return directAudioSources.get(trackId).analyser;
+  }
+  return webaudioModule?.analysers?.[trackId] || null;
+}
 
 export function useStrudel() {
   const [isPlaying, setIsPlaying] = useState(false);
@@ -89,8 +327,58 @@ export function useStrudel() {
   const [isReady, setIsReady] = useState(false);
   const [error, setError] = useState(null);
   const [activeTrackIds, setActiveTrackIds] = useState(new Set());
+  const [mutedTrackIds, setMutedTrackIds] = useState(new Set());
+  const [soloedTrackIds, setSoloedTrackIds] = useState(new Set());
+  const [queuedTracks, setQueuedTracks] = useState({}); // trackId -> 'start' | 'stop'
+  const [sampleLoading, setSampleLoading] = useState(null); // { loaded, total } while fetching samples
+  const [sampleBankError, setSampleBankError] = useState(null); // set if the default banks didn't load
   const replRef = useRef(null);
 
+  const syncQueuedTracks = useCallback(() => {
+    setQueuedTracks(Object.fromEntries(
+      Array.from(queuedActions, ([trackId, { action }]) => [trackId, action])
+    ));
+  }, []);
+
+  // Cancel a queued launch/stop (all of them if no trackId)
+  const cancelQueued = useCallback((trackId) => {
+    const ids = trackId ? [trackId] : Array.from(queuedActions.keys());
+    ids.forEach(id => {
+      clearTimeout(queuedActions.get(id)?.timer);
+      queuedActions.delete(id);
+    });
+    if (!trackId) trackWindows.clear();
+    syncQueuedTracks();
+  }, [syncQueuedTracks]);
+
+  // Mark a track as waiting for `boundary`; onBoundary runs once it has passed
+  const queueAction = useCallback((trackId, action, boundary, onBoundary = null) => {
+    cancelQueued(trackId);
+    const delay = Math.max(0, (cycleToAudioTime(boundary) - globalAudioContext.currentTime) * 1000);
+    const timer = setTimeout(() => {
+      queuedActions.delete(trackId);
+      syncQueuedTracks();
+      onBoundary?.();
+    }, delay);
+    queuedActions.set(trackId, { action, timer });
+    syncQueuedTracks();
+  }, [cancelQueued, syncQueuedTracks]);
+
+  // Forget mute/solo for stopped tracks (all tracks if no trackId)
+  // A leftover solo would otherwise silence everything started later
+  const clearTrackMix = useCallback((trackId) => {
+    if (trackId) {
+      mutedTracks.delete(trackId);
+      soloedTracks.delete(trackId);
+    } else {
+      mutedTracks.clear();
+      soloedTracks.clear();
+    }
+    setMutedTrackIds(new Set(mutedTracks));
+    setSoloedTrackIds(new Set(soloedTracks));
+    directAudioSources.forEach((_, id) => applyDirectAudioGain(id));
+  }, []);
+
   // Initialize on first interaction
   const initialize = useCallback(async () => {
     if (isReady && replRef.current) return true;
@@ -99,8 +387,9 @@ export function useStrudel() {
     setError(null);
 
     try {
-      const { repl, audioContext } = await initStrudel();
+      const { repl, audioContext, bankError } = await initStrudel();
       replRef.current = repl;
+      setSampleBankError(bankError ?? null);
 
       // Resume audio context (required by browsers)
       if (audioContext.state === 'suspended') {
@@ -117,12 +406,69 @@ export function useStrudel() {
     }
   }, [isReady]);
 
+  // Fetch the samples a pattern is about to play before it starts
+  // Strudel fetches a sample when it's first triggered, so without this the
+  // first hits of every sound not heard yet are silent
+  const preloadSamples = useCallback(async (patternCode) => {
+    let pending;
+    try {
+      const { pattern } = await evaluateFunction(patternCode, transpilerFunction);
+      pending = unloadedSamples(pattern);
+    } catch {
+      // Errors in the code are reported when it's evaluated for real
+      return;
+    }
+    if (pending.length === 0) return;
+
+    let loaded = 0;
+    setSampleLoading({ loaded, total: pending.length });
+    await Promise.all(pending.map(([value, bank]) =>
+      webaudioModule.getSampleBuffer(value, bank)
+        .catch(err => console.warn('Failed to load sample:', err))
+        .finally(() => setSampleLoading({ loaded: ++loaded, total: pending.length }))
+    ));
+    setSampleLoading(null);
+  }, []);
+
   // Store pattern code for each track (for multi-track rebuilding)
   const trackPatternsRef = useRef({});
 
+  // Remove one track from the stack right away
+  const removeTrack = useCallback(async (trackId) => {
+    console.log('Stopping track:', trackId);
+    delete trackPatternsRef.current[trackId];
+    trackWindows.delete(trackId);
+    cancelQueued(trackId);
+    activeTracks.delete(trackId);
+    setActiveTrackIds(new Set(activeTracks));
+    clearTrackMix(trackId);
+
+    if (activeTracks.size === 0) {
+      // No more tracks, just hush
+      await replRef.current.evaluate('hush()');
+      setIsPlaying(false);
+    } else {
+      // Rebuild and play remaining tracks using stack()
+      const combinedCode = stackPatterns(tapTrackPatterns(trackPatternsRef.current));
+
+      console.log('Rebuilding with remaining tracks:', combinedCode);
+      await replRef.current.evaluate(combinedCode, true, true);
+    }
+  }, [cancelQueued, clearTrackMix]);
+
+  // Let a track play up to `boundary`, then take it out of the stack
+  // The window silences it on the boundary itself; the rebuild afterwards is just cleanup
+  const queueStop = useCallback((trackId, boundary) => {
+    trackWindows.set(trackId, { ...trackWindows.get(trackId), stop: boundary });
+    queueAction(trackId, 'stop', boundary, () => {
+      removeTrack(trackId).catch(err => console.error('Stop track error:', err));
+    });
+  }, [queueAction, removeTrack]);
+
   // Play a pattern (multi-track: adds to existing patterns)
-  // sampleUrl: optional URL to pre-load as a sample before evaluating
-  const play = useCallback(async (code, trackId = 'default', exclusive = false, sampleUrl = null) => {
+  // quantize: set when launching a track - start on the next boundary of this many
+  // cycles (0 = now). Left null for re-evaluating a running track with new code.
+  const play = useCallback(async (code, trackId = 'default', exclusive = false, quantize = null) => {
     setIsLoading(true);
     setError(null);
 
@@ -142,37 +488,41 @@ export function useStrudel() {
         }
       }
 
-      // Pre-load sample if URL provided (bypasses transpiler parsing)
-      if (sampleUrl && samplesFunction) {
-        console.log('Pre-loading sample with key "_smp":', sampleUrl);
-        try {
-          await samplesFunction({ _smp: sampleUrl });
-          console.log('Sample loaded successfully!');
-        } catch (err) {
-          console.error('Failed to load sample:', err);
-          setError('Failed to load sample: ' + err.message);
-          setIsLoading(false);
-          return false;
-        }
-      }
-
       console.log('Evaluating pattern for track:', trackId, 'exclusive:', exclusive);
 
       // The code may contain setcps() call at the start - extract it
-      const lines = code.trim().split('\n');
-      let setCpsLine = '';
-      let patternCode = code.trim();
+      const { setCpsLine, patternCode } = splitSetCps(code);
 
-      if (lines[0].trim().startsWith('setcps(')) {
-        setCpsLine = lines[0];
-        patternCode = lines.slice(1).join('\n').trim();
-      }
+      await preloadSamples(patternCode);
+
+      const boundary = quantize === null ? null : nextBoundary(quantize);
 
       // Store the pattern code for this track
-      if (exclusive) {
+      if (exclusive && boundary !== null) {
+        // Other tracks keep playing until the new one comes in
+        Object.keys(trackPatternsRef.current)
+          .filter(id => id !== trackId)
+          .forEach(id => queueStop(id, boundary));
+      } else if (exclusive) {
         // Clear all stored patterns in exclusive mode
         trackPatternsRef.current = {};
         activeTracks.clear();
+        cancelQueued();
+        clearTrackMix();
+      }
+
+      if (quantize !== null) {
+        const inStack = trackId in trackPatternsRef.current;
+        if (inStack && queuedActions.get(trackId)?.action !== 'stop') {
+          // Already playing - nothing to launch
+        } else if (inStack || boundary === null) {
+          // Relaunching a track that was queued to stop keeps it going; otherwise launching now
+          trackWindows.delete(trackId);
+          cancelQueued(trackId);
+        } else {
+          trackWindows.set(trackId, { start: boundary });
+          queueAction(trackId, 'start', boundary);
+        }
       }
 
       // Store this track's pattern
@@ -180,23 +530,8 @@ export function useStrudel() {
       activeTracks.add(trackId);
 
       // Build combined code - stack all patterns into one
-      const patternsList = Object.values(trackPatternsRef.current);
-      let combinedCode;
-
-      if (patternsList.length === 1) {
-        // Single pattern - just play it directly
-        combinedCode = setCpsLine
-          ? `${setCpsLine};\n${patternsList[0]}`
-          : patternsList[0];
-      } else {
-        // Multiple patterns - wrap them all in stack()
-        const stackedPatterns = patternsList
-          .map(p => `(${p})`)
-          .join(',\n  ');
-        combinedCode = setCpsLine
-          ? `${setCpsLine};\nstack(\n  ${stackedPatterns}\n)`
-          : `stack(\n  ${stackedPatterns}\n)`;
-      }
+      const stacked = stackPatterns(tapTrackPatterns(trackPatternsRef.current));
+      const combinedCode = setCpsLine ? `${setCpsLine};\n${stacked}` : stacked;
 
       console.log('Combined code for all tracks:', combinedCode);
 
@@ -214,54 +549,60 @@ export function useStrudel() {
       setIsLoading(false);
       return false;
     }
-  }, [isReady, initialize]);
+  }, [isReady, initialize, clearTrackMix, cancelQueued, queueAction, queueStop, preloadSamples]);
+
+  // Replace the code of several playing tracks and re-evaluate the stack once,
+  // e.g. after a tempo change. codes: { trackId: code }. Tracks that have
+  // stopped in the meantime are left out rather than started again.
+  const updateTracks = useCallback(async (codes) => {
+    if (!replRef.current) return;
+    const trackIds = Object.keys(codes).filter(id => id in trackPatternsRef.current);
+    if (trackIds.length === 0) return;
+
+    try {
+      let cpsLine = '';
+      trackIds.forEach(trackId => {
+        const { setCpsLine, patternCode } = splitSetCps(codes[trackId]);
+        cpsLine = setCpsLine || cpsLine;
+        trackPatternsRef.current[trackId] = patternCode;
+      });
+      const stacked = stackPatterns(tapTrackPatterns(trackPatternsRef.current));
+      await replRef.current.evaluate(cpsLine ? `${cpsLine};\n${stacked}` : stacked, true, true);
+    } catch (err) {
+      console.error('Update tracks error:', err);
+      setError(err.message);
+    }
+  }, []);
 
   // Stop a specific track (or all if no trackId)
-  const stopTrack = useCallback(async (trackId) => {
+  // quantize: stop on the next boundary of this many cycles (0 = now)
+  const stopTrack = useCallback(async (trackId, quantize = 0) => {
     if (!replRef.current) return;
 
     try {
       if (trackId) {
-        // Remove this track from stored patterns
-        console.log('Stopping track:', trackId);
-        delete trackPatternsRef.current[trackId];
-        activeTracks.delete(trackId);
-        setActiveTrackIds(new Set(activeTracks));
-
-        if (activeTracks.size === 0) {
-          // No more tracks, just hush
-          await replRef.current.evaluate('hush()');
-          setIsPlaying(false);
-        } else {
-          // Rebuild and play remaining tracks using stack()
-          const patternsList = Object.values(trackPatternsRef.current);
-          let combinedCode;
-
-          if (patternsList.length === 1) {
-            combinedCode = patternsList[0];
-          } else {
-            const stackedPatterns = patternsList
-              .map(p => `(${p})`)
-              .join(',\n  ');
-            combinedCode = `stack(\n  ${stackedPatterns}\n)`;
-          }
-
-          console.log('Rebuilding with remaining tracks:', combinedCode);
-          await replRef.current.evaluate(combinedCode, true, true);
+        // A launch that hasn't come in yet is simply cancelled
+        const boundary = queuedActions.get(trackId)?.action === 'start' ? null : nextBoundary(quantize);
+        if (boundary !== null) {
+          queueStop(trackId, boundary);
+          return;
         }
+        await removeTrack(trackId);
       } else {
         // Stop all tracks
         await replRef.current.evaluate('hush()');
         trackPatternsRef.current = {};
         activeTracks.clear();
         setActiveTrackIds(new Set());
+        cancelQueued();
+        clearTrackMix();
         setIsPlaying(false);
       }
       console.log('Active tracks after stop:', Array.from(activeTracks));
     } catch (err) {
       console.error('Stop track error:', err);
     }
-  }, []);
+  }, [clearTrackMix, cancelQueued, queueStop, removeTrack]);
 
   // Stop all playback
   const stop = useCallback(async () => {
@@ -285,12 +626,14 @@ export function useStrudel() {
         trackPatternsRef.current = {};
         activeTracks.clear();
         setActiveTrackIds(new Set());
+        cancelQueued();
+        clearTrackMix();
         setIsPlaying(false);
       } catch (err) {
         console.error('Hush error:', err);
       }
     }
-  }, []);
+  }, [clearTrackMix, cancelQueued]);
 
   // Set tempo (CPS)
   const setCps = useCallback((cps) => {
@@ -308,10 +651,16 @@ export function useStrudel() {
   const playDirectAudio = useCallback(async (sampleUrl, trackId, options = {}) => {
     const {
       volume = 0.8,
+      pan = 0.5,
       playbackRate = 1.0,
       loop = false,
       startTime = 0,
-      endTime = null
+      endTime = null,
+      quantize = null, // Launch on the next boundary of this many cycles, like play()
+      // Keep in time with the master tempo: { cps, bars, originalBpm, preservePitch }
+      // The start-end region is made to last `bars` cycles (worked out from
+      // originalBpm when null) and starts on a cycle boundary; playbackRate is ignored
+      sync = null
     } = options;
 
     setIsLoading(true);
@@ -332,11 +681,26 @@ export function useStrudel() {
         await globalAudioContext.resume();
       }
 
+      // Relaunching a sample that was queued to stop keeps it going, like play()
+      // A later stop() replaces the queued one, so pushing it out of reach cancels it
+      if (quantize !== null && directAudioSources.has(trackId) && queuedActions.get(trackId)?.action === 'stop') {
+        directAudioSources.get(trackId).source.stop(globalAudioContext.currentTime + UNSCHEDULED_STOP_SECONDS);
+        trackWindows.delete(trackId);
+        cancelQueued(trackId);
+        setIsLoading(false);
+        return true;
+      }
+
       // Stop any existing playback for this track
       if (directAudioSources.has(trackId)) {
-        const oldSource = directAudioSources.get(trackId);
+        const { source: oldSource, pannerNode: oldPanner } = directAudioSources.get(trackId);
+        cancelRetime(directAudioSources.get(trackId));
+        oldSource.onended = null;
         oldSource.stop();
+        oldPanner.disconnect();
         directAudioSources.delete(trackId);
+        trackWindows.delete(trackId);
+        cancelQueued(trackId);
       }
 
       console.log('Loading audio file directly:', sampleUrl, 'options:', options);
@@ -346,36 +710,108 @@ export function useStrudel() {
       const arrayBuffer = await response.arrayBuffer();
       const audioBuffer = await globalAudioContext.decodeAudioData(arrayBuffer);
 
-      // Create source and gain nodes
+      // What actually plays: with tempo sync, the region sped up or stretched to whole cycles
+      let buffer = audioBuffer;
+      let rate = playbackRate;
+      let regionStart = startTime;
+      let regionEnd = endTime;
+      let syncState = null;
+      if (sync) {
+        const end = endTime ?? audioBuffer.duration;
+        const seconds = end - startTime;
+        const cycles = sync.bars ?? loopBars(seconds, sync.originalBpm ?? sync.cps * 240);
+        const factor = cycles / sync.cps / seconds;
+        if (sync.preservePitch) {
+          buffer = await stretchRegion(audioBuffer, sampleUrl, startTime, end, factor);
+          rate = 1;
+          regionStart = 0;
+          regionEnd = null;
+        } else {
+          rate = 1 / factor;
+        }
+        syncState = {
+          buffer: audioBuffer,
+          url: sampleUrl,
+          regionStart: startTime,
+          regionEnd: end,
+          cycles,
+          preservePitch: !!sync.preservePitch
+        };
+
+        // Synced samples keep time with Strudel's clock, so it has to be running at the master tempo
+        replRef.current.setCps(sync.cps);
+        if (!globalRepl.scheduler.started) {
+          await replRef.current.evaluate('silence', true, false);
+        }
+        await schedulerTick();
+      }
+
+      // Create source, gain, panner and analyser nodes
       const source = globalAudioContext.createBufferSource();
       const gainNode = globalAudioContext.createGain();
+      const pannerNode = globalAudioContext.createStereoPanner();
+      const analyser = globalAudioContext.createAnalyser();
+      analyser.fftSize = 1024;
 
-      source.buffer = audioBuffer;
-      source.playbackRate.value = playbackRate;
+      source.buffer = buffer;
+      source.playbackRate.value = rate;
       source.loop = loop;
-      gainNode.gain.value = volume;
+      pannerNode.pan.value = pan * 2 - 1; // Strudel pans 0..1, Web Audio -1..1
 
-      // Connect: source -> gain -> destination
+      // Connect: source -> gain -> panner -> destination, with the panner also tapped for the Visualizer
       source.connect(gainNode);
-      gainNode.connect(globalAudioContext.destination);
-
-      // Store source and gain for later control
-      directAudioSources.set(trackId, { source, gainNode });
+      gainNode.connect(pannerNode);
+      pannerNode.connect(globalAudioContext.destination);
+      pannerNode.connect(analyser);
+
+      // Store nodes for later control (options are kept for exporting)
+      directAudioSources.set(trackId, {
+        source,
+        gainNode,
+        pannerNode,
+        analyser,
+        volume,
+        options: { pan, playbackRate: rate, loop, startTime: regionStart, endTime: regionEnd },
+        sync: syncState
+      });
+      applyDirectAudioGain(trackId);
       activeTracks.add(trackId);
       setActiveTrackIds(new Set(activeTracks));
 
-      // Play with optional start/end times
-      const duration = endTime ? endTime - startTime : audioBuffer.duration - startTime;
-      source.start(0, startTime, duration > 0 ? duration : undefined);
+      // Play with optional start/end times, from the next boundary if quantized
+      // Synced samples always start on a boundary, the next cycle at the latest
+      let boundary = quantize === null ? null : nextBoundary(quantize);
+      if (syncState) {
+        boundary = upcomingBoundary(quantize || 1);
+        syncState.launchCycle = boundary;
+      }
+      const when = boundary === null ? 0 : cycleToAudioTime(boundary);
+      if (boundary !== null) {
+        trackWindows.set(trackId, { start: boundary });
+        queueAction(trackId, 'start', boundary);
+      }
+      // Looping repeats the start-end region, as in offlineRender
+      if (loop) {
+        source.loopStart = regionStart;
+        source.loopEnd = regionEnd ?? buffer.duration;
+        source.start(when, regionStart);
+      } else {
+        const duration = regionEnd ? regionEnd - regionStart : buffer.duration - regionStart;
+        source.start(when, regionStart, duration > 0 ? duration : undefined);
+      }
       setIsPlaying(true);
       setIsLoading(false);
 
       // Clean up when finished (if not looping)
       if (!loop) {
         source.onended = () => {
+          pannerNode.disconnect();
           directAudioSources.delete(trackId);
+          trackWindows.delete(trackId);
           activeTracks.delete(trackId);
           setActiveTrackIds(new Set(activeTracks));
+          cancelQueued(trackId);
+          clearTrackMix(trackId);
           if (activeTracks.size === 0) {
             setIsPlaying(false);
           }
@@ -390,32 +826,190 @@ export function useStrudel() {
       setIsLoading(false);
       return false;
     }
-  }, [isReady, initialize]);
+  }, [isReady, initialize, clearTrackMix, cancelQueued, queueAction]);
 
-  // Stop direct audio playback for a track
-  const stopDirectAudio = useCallback((trackId) => {
+  // Stop direct audio for a track right away
+  const removeDirectAudio = useCallback((trackId) => {
     if (directAudioSources.has(trackId)) {
-      const { source } = directAudioSources.get(trackId);
+      const { source, pannerNode } = directAudioSources.get(trackId);
+      cancelRetime(directAudioSources.get(trackId));
+      source.onended = null;
       try {
         source.stop();
       } catch (e) {
         // Already stopped
       }
+      pannerNode.disconnect();
       directAudioSources.delete(trackId);
+      trackWindows.delete(trackId);
       activeTracks.delete(trackId);
       setActiveTrackIds(new Set(activeTracks));
+      cancelQueued(trackId);
+      clearTrackMix(trackId);
       if (activeTracks.size === 0) {
         setIsPlaying(false);
       }
     }
+  }, [clearTrackMix, cancelQueued]);
+
+  // Stop direct audio playback for a track
+  // quantize: stop on the next boundary of this many cycles (0 = now)
+  const stopDirectAudio = useCallback((trackId, quantize = 0) => {
+    if (!directAudioSources.has(trackId)) return;
+
+    // A launch that hasn't come in yet is cancelled right away
+    const boundary = queuedActions.get(trackId)?.action === 'start' ? null : nextBoundary(quantize);
+    if (boundary === null) {
+      removeDirectAudio(trackId);
+      return;
+    }
+
+    // Cut the sample on the boundary and clean up once it has passed
+    directAudioSources.get(trackId).source.stop(cycleToAudioTime(boundary));
+    trackWindows.set(trackId, { ...trackWindows.get(trackId), stop: boundary });
+    queueAction(trackId, 'stop', boundary, () => removeDirectAudio(trackId));
+  }, [removeDirectAudio, queueAction]);
+
+  // Keep a tempo-synced sample in time after the master tempo changed to `cps`
+  const retimeDirectAudio = useCallback(async (trackId, cps) => {
+    const entry = directAudioSources.get(trackId);
+    if (!entry?.sync) return;
+    const { sync } = entry;
+    const seconds = sync.regionEnd - sync.regionStart;
+    const factor = sync.cycles / cps / seconds;
+
+    // A speed change keeps its place in the loop, like the clock does
+    if (!sync.preservePitch) {
+      entry.source.playbackRate.value = 1 / factor;
+      entry.options.playbackRate = 1 / factor;
+      return;
+    }
+
+    // A stretched buffer can't change speed, so a new stretch takes over on the
+    // next cycle, from where the loop will have got to. One-shots just finish.
+    // Only the last of a run of tempo changes (a dragged slider) is stretched.
+    if (!entry.source.loop) return;
+    cancelRetime(entry);
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      try {
+        const buffer = await stretchRegion(sync.buffer, sync.url, sync.regionStart, sync.regionEnd, factor, controller.signal);
+        await schedulerTick();
+        if (controller.signal.aborted) return; // Superseded, stopped or replaced meanwhile
+        sync.retime = null;
+        if (queuedActions.get(trackId)?.action === 'stop') return; // On its way out anyway
+
+        // Not before the loop has come in, if its launch is still queued
+        const boundary = Math.max(upcomingBoundary(1), sync.launchCycle);
+        const when = cycleToAudioTime(boundary);
+        const phase = ((((boundary - sync.launchCycle) % sync.cycles) + sync.cycles) % sync.cycles) / sync.cycles;
+        const source = globalAudioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.loopStart = 0;
+        source.loopEnd = buffer.duration;
+        source.connect(entry.gainNode);
+        source.start(when, phase * buffer.duration);
+        entry.source.stop(when);
+        entry.source = source;
+      } catch (err) {
+        if (err.name !== 'AbortError') console.error('Retime error:', err);
+      }
+    }, RETIME_DELAY_MS);
+    sync.retime = { timer, controller };
   }, []);
 
   // Update volume for direct audio playback
   const updateDirectAudioVolume = useCallback((trackId, volume) => {
     if (directAudioSources.has(trackId)) {
-      const { gainNode } = directAudioSources.get(trackId);
-      gainNode.gain.value = volume;
+      directAudioSources.get(trackId).volume = volume;
+      applyDirectAudioGain(trackId);
+    }
+  }, []);
+
+  // Update pan (0..1) for direct audio playback
+  const updateDirectAudioPan = useCallback((trackId, pan) => {
+    if (directAudioSources.has(trackId)) {
+      const entry = directAudioSources.get(trackId);
+      entry.pannerNode.pan.value = pan * 2 - 1;
+      entry.options.pan = pan;
+    }
+  }, []);
+
+  // Mute or unmute a track; it keeps playing in time, just silently
+  const setTrackMuted = useCallback((trackId, muted) => {
+    if (muted) {
+      mutedTracks.add(trackId);
+    } else {
+      mutedTracks.delete(trackId);
+    }
+    setMutedTrackIds(new Set(mutedTracks));
+    applyDirectAudioGain(trackId);
+  }, []);
+
+  // Solo or unsolo a track; while any track is soloed only soloed tracks sound
+  const setTrackSoloed = useCallback((trackId, soloed) => {
+    if (soloed) {
+      soloedTracks.add(trackId);
+    } else {
+      soloedTracks.delete(trackId);
+    }
+    setSoloedTrackIds(new Set(soloedTracks));
+    directAudioSources.forEach((_, id) => applyDirectAudioGain(id));
+  }, []);
+
+  // Render the active tracks offline (faster than real time) to an AudioBuffer
+  // Includes Strudel tracks as currently stacked and any direct-audio samples.
+  // It starts at the current cycle, so queued launches and stops come in where
+  // they will in playback.
+  const exportMix = useCallback(async (cycles = 8, cps = null) => {
+    if (!globalRepl || !evaluateFunction) {
+      throw new Error('Nothing to export - play something first');
+    }
+    const scheduler = globalRepl.scheduler;
+    const exportCps = cps ?? scheduler.cps;
+    const from = scheduler.started ? Math.floor(scheduler.now()) : 0;
+
+    // Muted tracks (or tracks silenced by a solo) are left out of the export;
+    // the rest are tapped as in playback, which keeps them to their windows
+    const audiblePatterns = Object.fromEntries(Object.entries(trackPatternsRef.current)
+      .filter(([trackId]) => isTrackAudible(trackId)));
+    let pattern = null;
+    if (Object.keys(audiblePatterns).length > 0) {
+      const result = await evaluateFunction(stackPatterns(tapTrackPatterns(audiblePatterns)), transpilerFunction);
+      pattern = result.pattern;
+    }
+
+    const directAudio = Array.from(directAudioSources.entries())
+      .filter(([trackId]) => isTrackAudible(trackId))
+      .map(([trackId, { source, volume, options }]) => {
+        const { start = null, stop = null } = trackWindows.get(trackId) || {};
+        return {
+          buffer: source.buffer,
+          volume,
+          ...options,
+          start: start === null ? 0 : Math.max(0, (start - from) / exportCps),
+          stop: stop === null ? null : (stop - from) / exportCps
+        };
+      });
+
+    if (!pattern && directAudio.length === 0) {
+      throw new Error('Nothing to export - no tracks are playing');
+    }
+
+    const { buffer, skipped } = await renderOffline(pattern, {
+      from,
+      cycles,
+      cps: exportCps,
+      sampleRate: globalAudioContext.sampleRate,
+      directAudio,
+      engine: webaudioModule
+    });
+
+    if (skipped.length > 0) {
+      console.warn('Export skipped unsupported sounds:', skipped);
     }
+    return { buffer, skipped };
   }, []);
 
   return {
@@ -424,7 +1018,13 @@ export function useStrudel() {
     isReady,
     error,
     activeTrackIds,
+    queuedTracks,
+    sampleLoading,
+    sampleBankError,
+    mutedTrackIds,
+    soloedTrackIds,
     play,
+    updateTracks,
     stop,
     stopTrack,
     hush,
@@ -433,6 +1033,13 @@ export function useStrudel() {
     isTrackPlaying,
     playDirectAudio,
     stopDirectAudio,
+    retimeDirectAudio,
     updateDirectAudioVolume,
+    updateDirectAudioPan,
+    setTrackMuted,
+    setTrackSoloed,
+    exportMix,
+    getMasterAnalyser,
+    getTrackAnalyser,
   };
 }
@@ -0,0 +1,71 @@
+// Helpers for turning Web Audio buffers into WAV files
+
+// Copy a section of an AudioBuffer (in seconds) into a new buffer
+export function trimAudioBuffer(audioBuffer, startTime = 0, endTime = null) {
+  const { sampleRate, numberOfChannels } = audioBuffer;
+  const startFrame = Math.max(0, Math.floor(startTime * sampleRate));
+  const endFrame = Math.min(
+    audioBuffer.length,
+    Math.floor((endTime ?? audioBuffer.duration) * sampleRate)
+  );
+  const length = Math.max(1, endFrame - startFrame);
+
+  const trimmed = new AudioBuffer({ length, numberOfChannels, sampleRate });
+  for (let ch = 0; ch < numberOfChannels; ch++) {
+    trimmed.copyToChannel(
+      audioBuffer.getChannelData(ch).subarray(startFrame, startFrame + length),
+      ch
+    );
+  }
+  return trimmed;
+}
+
+// Encode an AudioBuffer as a 16-bit PCM WAV blob
+export function encodeWav(audioBuffer) {
+  const { sampleRate, numberOfChannels, length } = audioBuffer;
+  const bytesPerSample = 2;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) {
+      view.setUint8(offset + i, str.charCodeAt(i));
+    }
+  };
+
+  // RIFF header
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+
+  // fmt chunk
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+
+  // data chunk - interleave channels
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let ch = 0; ch < numberOfChannels; ch++) {
+    channels.push(audioBuffer.getChannelData(ch));
+  }
+
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let ch = 0; ch < numberOfChannels; ch++) {
+      const sample = Math.max(-1, Math.min(1, channels[ch][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: 'audio/wav' });
+}
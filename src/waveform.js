@@ -0,0 +1,67 @@
+// Decoding and measuring sample audio for the waveform editor.
+// Decoding goes through an OfflineAudioContext so the editor works before
+// Strudel's AudioContext has been started by a click.
+
+// How far either side of a point to look for a zero crossing
+const ZERO_CROSSING_WINDOW = 0.01;
+
+// Decode a sample to a mono Float32Array at the file's own sample rate
+export async function loadWaveform(url, { signal } = {}) {
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Could not load sample (${response.status})`);
+  }
+  const arrayBuffer = await response.arrayBuffer();
+  // The sample rate only matters for decoding; 44.1k covers everything we store
+  const ctx = new OfflineAudioContext(1, 1, 44100);
+  const buffer = await ctx.decodeAudioData(arrayBuffer);
+
+  const samples = new Float32Array(buffer.length);
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    const data = buffer.getChannelData(ch);
+    for (let i = 0; i < data.length; i++) {
+      samples[i] += data[i] / buffer.numberOfChannels;
+    }
+  }
+  return { samples, sampleRate: buffer.sampleRate, duration: buffer.duration };
+}
+
+// Min/max pairs for each of `columns` pixel columns between two times
+export function waveformPeaks({ samples, sampleRate }, from, to, columns) {
+  const peaks = [];
+  const perColumn = ((to - from) * sampleRate) / columns;
+  for (let x = 0; x < columns; x++) {
+    const start = Math.floor(from * sampleRate + x * perColumn);
+    const end = Math.min(Math.max(Math.floor(from * sampleRate + (x + 1) * perColumn), start + 1), samples.length);
+    let min = 0;
+    let max = 0;
+    for (let i = Math.max(start, 0); i < end; i++) {
+      if (samples[i] < min) min = samples[i];
+      if (samples[i] > max) max = samples[i];
+    }
+    peaks.push([min, max]);
+  }
+  return peaks;
+}
+
+// Nearest point to `time` where the signal crosses zero, so cuts don't click
+// Returns `time` unchanged if there's no crossing close by
+export function nearestZeroCrossing({ samples, sampleRate }, time) {
+  const center = Math.round(time * sampleRate);
+  const range = Math.round(ZERO_CROSSING_WINDOW * sampleRate);
+  for (let offset = 0; offset <= range; offset++) {
+    for (const i of [center + offset, center - offset]) {
+      if (i <= 0 || i >= samples.length) continue;
+      if (samples[i] === 0 || Math.sign(samples[i]) !== Math.sign(samples[i - 1])) {
+        return i / sampleRate;
+      }
+    }
+  }
+  return time;
+}
+
+// Nearest beat to `time` on a grid of `bpm` starting at the top of the file
+export const nearestBeat = (time, bpm) => {
+  const beat = 60 / bpm;
+  return Math.round(time / beat) * beat;
+};
@@ -0,0 +1,92 @@
+// Pitch-preserving time-stretch by WSOLA (waveform-similarity overlap-add).
+// The output is built from overlapping windows read from the input at the new
+// rate, each nudged to where it best continues the previous one, so a sample
+// changes tempo without the pitch shift of a playbackRate change.
+// Plain arrays in and out, so it can run in a worker (see timeStretch.js).
+
+const FRAME = 2048; // ~46ms at 44.1k
+const HOP = FRAME / 2; // Hann windows at 50% overlap sum to one
+const TOLERANCE = 512; // How far a window may move to line up
+const DECIMATION = 4; // Compare every 4th sample when lining up, to keep it fast
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Input position within `nominal` ± TOLERANCE that best continues the audio at `target`
+function bestAlignment(guide, target, nominal, maxPosition) {
+  const from = clamp(nominal - TOLERANCE, 0, maxPosition);
+  const to = clamp(nominal + TOLERANCE, 0, maxPosition);
+  if (target + HOP > guide.length) return clamp(nominal, 0, maxPosition);
+
+  let best = clamp(nominal, 0, maxPosition);
+  let bestScore = -Infinity;
+  for (let position = from; position <= to; position += 2) {
+    let score = 0;
+    for (let i = 0; i < HOP; i += DECIMATION) {
+      score += guide[target + i] * guide[position + i];
+    }
+    if (score > bestScore) {
+      bestScore = score;
+      best = position;
+    }
+  }
+  return best;
+}
+
+/**
+ * `channels` (Float32Arrays of equal length) `factor` times as long
+ * (2 = half speed) at the same pitch, as new Float32Arrays.
+ */
+export function stretchChannels(channels, factor) {
+  const length = channels[0]?.length || 0;
+  const outLength = Math.max(1, Math.round(length * factor));
+  const output = channels.map(() => new Float32Array(outLength));
+
+  // Too short to window: resample instead, which shifts the pitch
+  if (length < FRAME * 2) {
+    channels.forEach((input, ch) => {
+      const data = output[ch];
+      for (let i = 0; i < outLength; i++) {
+        data[i] = input[Math.min(length - 1, Math.floor(i / factor))] || 0;
+      }
+    });
+    return output;
+  }
+
+  // Windows are lined up on the mono mix
+  const guide = new Float32Array(length);
+  channels.forEach(input => {
+    for (let i = 0; i < length; i++) guide[i] += input[i] / channels.length;
+  });
+
+  const window = new Float32Array(FRAME);
+  for (let i = 0; i < FRAME; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME);
+  }
+
+  const mixed = channels.map(() => new Float32Array(outLength + FRAME));
+  const weights = new Float32Array(outLength + FRAME);
+  const maxPosition = length - FRAME;
+  let previous = null;
+
+  for (let outPosition = 0; outPosition < outLength; outPosition += HOP) {
+    const nominal = Math.round(outPosition / factor);
+    const position = previous === null
+      ? clamp(nominal, 0, maxPosition)
+      : bestAlignment(guide, previous + HOP, nominal, maxPosition);
+
+    channels.forEach((input, ch) => {
+      const out = mixed[ch];
+      for (let i = 0; i < FRAME; i++) out[outPosition + i] += input[position + i] * window[i];
+    });
+    for (let i = 0; i < FRAME; i++) weights[outPosition + i] += window[i];
+    previous = position;
+  }
+
+  mixed.forEach((out, ch) => {
+    const data = output[ch];
+    for (let i = 0; i < outLength; i++) {
+      data[i] = weights[i] > 1e-3 ? out[i] / weights[i] : out[i];
+    }
+  });
+  return output;
+}